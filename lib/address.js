@@ -0,0 +1,232 @@
+'use strict';
+
+const {decodeEncodedWords} = require('./charset');
+
+const ADDR_SPEC = /^(?:"(?:[^"\\]|\\.)*"|[^\s@<>"(),;:]+)@[^\s@<>"(),;:]+$/;
+
+/**
+ * Find the end of a quoted string or a (possibly nested) comment
+ *
+ * @param {string} value Header value
+ * @param {number} start Index of opening '"' or '('
+ * @returns {number} Index of closing '"' or ')', or the last index if the
+ *     quoted string or the comment is not closed
+ */
+function findClosing(value, start) {
+  const isQuoted = value[start] === '"';
+  let depth = 0;
+
+  for (let i = start; i < value.length; i++) {
+    const char = value[i];
+
+    if (char === '\\') {
+      i += 1;
+    } else if (isQuoted) {
+      if (char === '"' && i > start) {
+        return i;
+      }
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  return value.length - 1;
+}
+
+/**
+ * Split an address-list header value into mailboxes at top-level commas,
+ * keeping track of groups like `Team: a@example.com, b@example.com;`.
+ * Commas and colons in quoted strings, comments and angle addresses don't
+ * split mailboxes.
+ *
+ * @param {string} value Unfolded header value
+ * @returns {Object[]} Mailboxes having text and group (null if not in group)
+ */
+function splitAddressList(value) {
+  const mailboxes = [];
+  let text = '';
+  let group = null;
+  let isInAngle = false;
+
+  const pushMailbox = () => {
+    if (text.trim()) {
+      mailboxes.push({text, group});
+    }
+    text = '';
+  };
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (char === '"' || char === '(') {
+      const end = findClosing(value, i);
+      text += value.slice(i, end + 1);
+      i = end;
+    } else if (char === '<' || char === '>') {
+      isInAngle = char === '<';
+      text += char;
+    } else if (!isInAngle && char === ',') {
+      pushMailbox();
+    } else if (!isInAngle && char === ':' && group === null) {
+      group = toDisplayName(text);
+      text = '';
+    } else if (!isInAngle && char === ';' && group !== null) {
+      pushMailbox();
+      group = null;
+    } else {
+      text += char;
+    }
+  }
+
+  pushMailbox();
+
+  return mailboxes;
+}
+
+/**
+ * Remove comments, i.e. parenthesized text outside quoted strings
+ *
+ * @param {string} text Mailbox text
+ * @returns {object} Object having text without comments and comments
+ */
+function removeComments(text) {
+  const comments = [];
+  let result = '';
+  let comment = '';
+  let isQuoted = false;
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (depth > 0) {
+      if (char === '\\' && i + 1 < text.length) {
+        comment += text[i + 1];
+        i += 1;
+      } else if (char === '(') {
+        depth += 1;
+        comment += char;
+      } else if (char === ')') {
+        depth -= 1;
+        if (depth === 0) {
+          comments.push(comment.trim());
+          comment = '';
+          result += ' ';
+        } else {
+          comment += char;
+        }
+      } else {
+        comment += char;
+      }
+    } else if (!isQuoted && char === '(') {
+      depth = 1;
+    } else {
+      if (char === '"' && text[i - 1] !== '\\') {
+        isQuoted = !isQuoted;
+      }
+      result += char;
+    }
+  }
+
+  return {text: result, comments: comments.filter(Boolean)};
+}
+
+/**
+ * Remove quotes of quoted strings and their backslash escapes. A stray quote
+ * without its closing one is removed, while escaped quotes in quoted strings
+ * are kept.
+ *
+ * @param {string} text Text having quoted strings
+ * @returns {string} Unquoted text
+ */
+function unquote(text) {
+  return text.replace(/"((?:[^"\\]|\\.)*)"|"/g, (match, content) => {
+    if (content === undefined) {
+      return '';
+    }
+
+    return content.replace(/\\(.)/g, '$1');
+  });
+}
+
+/**
+ * Make display name out of a phrase: unquote, decode encoded words and
+ * collapse whitespace
+ *
+ * @param {string} phrase Display name phrase
+ * @returns {string} Display name
+ */
+function toDisplayName(phrase) {
+  return decodeEncodedWords(unquote(phrase))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a single mailbox, e.g. `"Doe, John" <john@example.com>`,
+ * `john@example.com (John Doe)` or `=?UTF-8?B?...?= <john@example.com>`
+ *
+ * @param {string} text Mailbox text
+ * @returns {object} Parsed mailbox having name and address || null if
+ *     text is not a valid mailbox
+ */
+function parseMailbox(text) {
+  const withoutComments = removeComments(text);
+  const angleMatch = /^([^<]*)<([^>]*)>\s*$/.exec(withoutComments.text.trim());
+  let name;
+  let address;
+
+  if (angleMatch) {
+    name = toDisplayName(angleMatch[1]);
+    // Obsolete source route, e.g. <@relay.example.com:john@example.com>
+    address = angleMatch[2].replace(/^@[^:]*:/, '').trim();
+  } else {
+    name = '';
+    address = withoutComments.text.trim();
+  }
+
+  if (!ADDR_SPEC.test(address)) {
+    return null;
+  }
+
+  return {
+    name: name || toDisplayName(withoutComments.comments.join(' ')) || address,
+    address,
+  };
+}
+
+/**
+ * Parse an address-list header value such as To or Cc into mailboxes.
+ * Members of groups have group property with the group's display name.
+ * Mailboxes that can't be parsed, e.g. truncated ones, have their raw text
+ * as both name and address, and unparsed property set to true.
+ *
+ * @param {string} value Header value
+ * @returns {Object[]} Mailboxes having name and address
+ */
+function parseAddressList(value) {
+  const unfolded = value.replace(/\r?\n(?=[ \t])/g, '');
+
+  return splitAddressList(unfolded).map(({text, group}) => {
+    const mailbox = parseMailbox(text) || {
+      name: text.trim(),
+      address: text.trim(),
+      unparsed: true,
+    };
+
+    if (group !== null) {
+      mailbox.group = group;
+    }
+
+    return mailbox;
+  });
+}
+
+module.exports = {
+  parseAddressList,
+};
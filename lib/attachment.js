@@ -0,0 +1,262 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {pipeline, Transform} = require('stream');
+const {promisify} = require('util');
+const {AttachmentSizeError, ResponseFormatError} = require('./errors');
+
+const open = promisify(fs.open);
+const unlink = promisify(fs.unlink);
+const pipelineAsync = promisify(pipeline);
+
+const MAX_FILENAME_LENGTH = 200;
+// Characters invalid in filenames on Windows besides path separators
+const INVALID_FILENAME_CHARACTERS = '<>:"|?*';
+const EXTENSIONS = {
+  'message/rfc822': 'eml',
+  'text/calendar': 'ics',
+  'text/html': 'html',
+  'text/plain': 'txt',
+};
+
+/**
+ * Create a transform stream which takes the JSON response of
+ * gmail.users.messages.attachments.get() requested with fields: 'data' and
+ * emits decoded bytes of the data. The base64url data is decoded as it
+ * arrives so that a large attachment is never held in memory at once.
+ *
+ * @param {object} [errorProps] emailAddress and historyId of the mailbox,
+ *     which ResponseFormatError is thrown with
+ * @returns {object} Transform stream
+ */
+function createAttachmentDecoder(errorProps = {}) {
+  let prefix = '';
+  let isInData = false;
+  let isDone = false;
+  let remainder = '';
+
+  const decode = (text) =>
+    Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      let text = chunk.toString('latin1');
+
+      if (isDone) {
+        return callback();
+      }
+
+      if (!isInData) {
+        prefix += text;
+
+        const match = /"data"\s*:\s*"/.exec(prefix);
+
+        if (!match) {
+          // Keep only the tail which can still be part of "data":"
+          prefix = prefix.slice(-32);
+          return callback();
+        }
+
+        isInData = true;
+        text = prefix.slice(match.index + match[0].length);
+        prefix = '';
+      }
+
+      const end = text.indexOf('"');
+
+      if (end !== -1) {
+        text = text.slice(0, end);
+        isDone = true;
+      }
+
+      const data = remainder + text.replace(/\s+/g, '');
+      const length = data.length - (data.length % 4);
+
+      remainder = data.slice(length);
+
+      return callback(null, decode(data.slice(0, length)));
+    },
+
+    flush(callback) {
+      if (!isInData) {
+        return callback(
+          new ResponseFormatError('Attachment response has no data', errorProps)
+        );
+      }
+
+      return callback(null, decode(remainder.replace(/[=]+$/, '')));
+    },
+  });
+}
+
+/**
+ * Create a pass-through stream which fails once more than maxSize bytes have
+ * passed through it
+ *
+ * @param {number} maxSize Maximum number of bytes
+ * @returns {object} Transform stream
+ */
+function createSizeLimiter(maxSize) {
+  let size = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+
+      if (size > maxSize) {
+        return callback(
+          new AttachmentSizeError(`Attachment exceeds ${maxSize} bytes`, {
+            maxSize,
+          })
+        );
+      }
+
+      return callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Check if a MIME type matches any of patterns, e.g. 'application/pdf' or
+ * 'image/*'. Matching is case-insensitive.
+ *
+ * @param {string} mimeType MIME type to be checked
+ * @param {string[]} patterns MIME types, of which subtype can be '*'
+ * @returns {boolean} Whether mimeType matches any of patterns
+ */
+function matchesMimeType(mimeType, patterns) {
+  const [type, subtype] = (mimeType || '').toLowerCase().split('/');
+
+  return patterns.some((pattern) => {
+    const [patternType, patternSubtype] = pattern.toLowerCase().split('/');
+
+    return (
+      (patternType === '*' || patternType === type) &&
+      (patternSubtype === '*' || patternSubtype === subtype)
+    );
+  });
+}
+
+/**
+ * Replace control characters and characters invalid on Windows with _
+ *
+ * @param {string} filename Filename
+ * @returns {string} Filename without such characters
+ */
+function replaceInvalidCharacters(filename) {
+  return Array.from(filename, (character) => {
+    const code = character.charCodeAt(0);
+
+    return code < 0x20 ||
+      code === 0x7f ||
+      INVALID_FILENAME_CHARACTERS.includes(character)
+      ? '_'
+      : character;
+  }).join('');
+}
+
+/**
+ * Make a filename safe to be joined to a directory: directories, path
+ * separators, control characters and characters invalid on Windows are
+ * removed or replaced, and leading dots are removed so that the file is
+ * neither hidden nor '..'. Attachments without usable filename get a name
+ * like attachment-1.pdf.
+ *
+ * @param {object} attachment Element of message.attachments
+ * @param {number} index Index of the attachment
+ * @returns {string} Safe filename
+ */
+function toSafeFilename(attachment, index) {
+  const filename = replaceInvalidCharacters(
+    path.posix.basename((attachment.filename || '').replace(/\\/g, '/'))
+  )
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, MAX_FILENAME_LENGTH);
+
+  if (filename) {
+    return filename;
+  }
+
+  const mimeType = (attachment.mimeType || '').toLowerCase();
+  const subtype = mimeType.split('/')[1] || '';
+  const extension =
+    EXTENSIONS[mimeType] || (/^[a-z0-9]{1,5}$/.test(subtype) ? subtype : '');
+
+  return `attachment-${index + 1}${extension ? `.${extension}` : ''}`;
+}
+
+/**
+ * Make a filename unique by numbering, e.g. example (1).pdf
+ *
+ * @param {string} filename Filename
+ * @param {number} number Number to be added
+ * @returns {string} Numbered filename
+ */
+function numberFilename(filename, number) {
+  const extension = path.extname(filename);
+
+  return `${filename.slice(
+    0,
+    filename.length - extension.length
+  )} (${number})${extension}`;
+}
+
+/**
+ * Open a new file in a directory for writing, numbering the filename if a
+ * file having the same name already exists. Existing files are never
+ * overwritten.
+ *
+ * @param {string} dir Directory
+ * @param {string} filename Safe filename
+ * @param {number} [number] Number to be added to filename
+ * @returns {object} Object having filePath and fd
+ */
+async function openUniqueFile(dir, filename, number = 0) {
+  const filePath = path.join(
+    dir,
+    number === 0 ? filename : numberFilename(filename, number)
+  );
+
+  try {
+    return {filePath, fd: await open(filePath, 'wx')};
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return openUniqueFile(dir, filename, number + 1);
+    }
+
+    throw err;
+  }
+}
+
+/**
+ * Write a stream to a new file in a directory. The file is removed if
+ * writing fails, e.g. because the stream exceeds maxSize.
+ *
+ * @param {object} stream Readable stream of attachment data
+ * @param {string} dir Directory
+ * @param {string} filename Safe filename
+ * @param {number} maxSize Maximum number of bytes to be written
+ * @returns {object} Object having filePath and size
+ */
+async function writeStreamToFile(stream, dir, filename, maxSize) {
+  const {filePath, fd} = await openUniqueFile(dir, filename);
+  const file = fs.createWriteStream(null, {fd});
+
+  try {
+    await pipelineAsync(stream, createSizeLimiter(maxSize), file);
+  } catch (err) {
+    await unlink(filePath).catch(() => {});
+
+    throw err;
+  }
+
+  return {filePath, size: file.bytesWritten};
+}
+
+module.exports = {
+  createAttachmentDecoder,
+  matchesMimeType,
+  toSafeFilename,
+  writeStreamToFile,
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const querystring = require('querystring');
+const {ResponseFormatError} = require('./errors');
+const {getHeaderValue, parseParameterizedHeader} = require('./mime');
+const {splitHeadersAndBody, splitMultipartBody} = require('./rfc822');
+
+const GMAIL_BATCH_URL = 'https://gmail.googleapis.com/batch/gmail/v1';
+
+/**
+ * Create body of a batch request getting messages. Each request has
+ * Content-ID of its index so that responses can be matched to requests.
+ *
+ * @param {string} userId Email address of the user
+ * @param {string[]} messageIds Ids of messages to get
+ * @param {object} params Query parameters of users.messages.get, i.e.
+ *     format, metadataHeaders and fields
+ * @param {string} boundary Boundary of multipart/mixed body
+ * @returns {string} Request body
+ */
+function createMessagesBatchBody(userId, messageIds, params, boundary) {
+  const query = querystring.stringify(
+    Object.keys(params)
+      .filter((name) => params[name] !== undefined)
+      .reduce((defined, name) => {
+        defined[name] = params[name];
+        return defined;
+      }, {})
+  );
+  const parts = messageIds.map(
+    (messageId, index) =>
+      `--${boundary}\r\n` +
+      'Content-Type: application/http\r\n' +
+      `Content-ID: <${index}>\r\n\r\n` +
+      `GET /gmail/v1/users/${encodeURIComponent(
+        userId
+      )}/messages/${encodeURIComponent(messageId)}${
+        query ? `?${query}` : ''
+      }\r\n\r\n`
+  );
+
+  return `${parts.join('')}--${boundary}--\r\n`;
+}
+
+/**
+ * Parse response of a batch request into responses of each request
+ *
+ * @param {object} body Buffer instance of response body
+ * @param {string} contentType Content-Type header of the response
+ * @param {object} [errorProps] emailAddress and historyId of the mailbox,
+ *     which ResponseFormatError is thrown with
+ * @returns {Object[]} Responses having status and data, in order of
+ *     requests. Requests without response, or with a response of which body
+ *     is not JSON, have undefined.
+ */
+function parseBatchResponse(body, contentType, errorProps = {}) {
+  const {boundary} = parseParameterizedHeader(contentType).params;
+  const responses = [];
+
+  if (!boundary) {
+    throw new ResponseFormatError('Batch response has no boundary', errorProps);
+  }
+
+  for (const source of splitMultipartBody(body.toString('latin1'), boundary)) {
+    const part = splitHeadersAndBody(source);
+    // Content-ID of a response is that of its request prefixed by response-
+    const idMatch = /(\d+)>?\s*$/.exec(
+      getHeaderValue(part.headers, 'Content-ID') || ''
+    );
+
+    if (!idMatch) {
+      continue;
+    }
+
+    const http = splitHeadersAndBody(part.body);
+    const statusMatch = /^HTTP\/\S+\s+(\d{3})/.exec(part.body);
+    const text = Buffer.from(http.body, 'latin1')
+      .toString('utf8')
+      .trim();
+    let data = null;
+
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // Leave the request without response so that it is sent again alone
+      // instead of failing every other request in the batch
+      continue;
+    }
+
+    responses[Number(idMatch[1])] = {
+      status: statusMatch ? Number(statusMatch[1]) : null,
+      data,
+    };
+  }
+
+  return responses;
+}
+
+module.exports = {
+  GMAIL_BATCH_URL,
+  createMessagesBatchBody,
+  parseBatchResponse,
+};
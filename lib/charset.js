@@ -0,0 +1,68 @@
+'use strict';
+
+const {TextDecoder} = require('util');
+
+/**
+ * Decode bytes in a charset named in MIME, e.g. Content-Type charset
+ * parameter or RFC 2047 encoded word. Charsets unknown to the running
+ * Node.js, e.g. Shift_JIS without full ICU, fall back to UTF-8.
+ *
+ * @param {object} buffer Buffer instance of bytes to be decoded
+ * @param {string} [charset] Charset name, e.g. ISO-8859-1. Default is UTF-8
+ * @returns {string} Decoded string
+ */
+function decodeCharset(buffer, charset) {
+  const label = (charset || 'utf-8').trim().toLowerCase();
+
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch (err) {
+    // Node.js built without ICU only knows UTF-8 and UTF-16LE, but Latin-1
+    // family is common enough in mail to decode anyway
+    if (/^(?:iso-8859-1|latin1|us-ascii|ascii)$/.test(label)) {
+      return buffer.toString('latin1');
+    }
+
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. =?UTF-8?B?7JWI64WV?=, in a header
+ * value. Whitespace between adjacent encoded words is removed as RFC 2047
+ * requires. Malformed encoded words are left as they are.
+ *
+ * @param {string} value Header value
+ * @returns {string} Decoded header value
+ */
+function decodeEncodedWords(value) {
+  const encodedWord = /[=]\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g;
+
+  return value
+    .replace(/([=]\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)\s+(?==\?)/g, '$1')
+    .replace(encodedWord, (match, charset, encoding, text) => {
+      // Language tag of RFC 2231, e.g. UTF-8*en, is not part of charset
+      const charsetName = charset.split('*')[0];
+      let bytes;
+
+      if (encoding.toUpperCase() === 'B') {
+        bytes = Buffer.from(text, 'base64');
+      } else {
+        bytes = Buffer.from(
+          text
+            .replace(/_/g, ' ')
+            .replace(/[=]([0-9A-Fa-f]{2})/g, (hex, code) =>
+              String.fromCharCode(parseInt(code, 16))
+            ),
+          'latin1'
+        );
+      }
+
+      return decodeCharset(bytes, charsetName);
+    });
+}
+
+module.exports = {
+  decodeCharset,
+  decodeEncodedWords,
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Map items with an async function, running at most limit calls at a time.
+ * Results are in the same order as items. If a call rejects, no more calls
+ * are started and the returned promise rejects with its error.
+ *
+ * @param {Array} items Items to be mapped
+ * @param {number} limit Maximum number of calls running at the same time
+ * @param {function} task Async function called with an item and its index
+ * @returns {Promise} Promise resolved with array of results
+ */
+function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const runNext = () => {
+    if (failed || nextIndex >= items.length) {
+      return Promise.resolve();
+    }
+
+    const index = nextIndex;
+
+    nextIndex += 1;
+
+    return Promise.resolve()
+      .then(() => task(items[index], index))
+      .then(
+        (result) => {
+          results[index] = result;
+          return runNext();
+        },
+        (err) => {
+          failed = true;
+          throw err;
+        }
+      );
+  };
+
+  const workers = [];
+
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    workers.push(runNext());
+  }
+
+  return Promise.all(workers).then(() => results);
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
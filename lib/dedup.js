@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Dedup cache keeping keys in memory until their TTL passes. Expired keys
+ * are pruned whenever a key is added.
+ *
+ * A dedup cache of your own, e.g. backed by Redis SET NX PX, should have the
+ * same two async methods: add(key, ttl) and delete(key).
+ */
+function MemoryDedupCache() {
+  if (!(this instanceof MemoryDedupCache)) {
+    return new MemoryDedupCache();
+  }
+
+  // Map preserves insertion order, so keys added earlier expire earlier as
+  // long as every key has the same TTL
+  this._expirations = new Map();
+}
+
+MemoryDedupCache.prototype = {
+  /**
+   * Add a key unless it is already present
+   *
+   * @param {string} key Key to be added
+   * @param {number} ttl Milliseconds to keep the key
+   * @returns {boolean} Whether the key was added or not, i.e. false if the
+   *     key is a duplicate
+   */
+  add(key, ttl) {
+    const now = Date.now();
+
+    this._prune(now);
+
+    if (this._expirations.has(key)) {
+      return Promise.resolve(false);
+    }
+
+    this._expirations.set(key, now + ttl);
+
+    return Promise.resolve(true);
+  },
+
+  /**
+   * Delete a key so that it can be added again
+   *
+   * @param {string} key Key to be deleted
+   */
+  delete(key) {
+    this._expirations.delete(key);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Delete expired keys from the oldest one
+   *
+   * @param {number} now Current time in milliseconds
+   */
+  _prune(now) {
+    for (const [key, expiration] of this._expirations) {
+      if (expiration > now) {
+        break;
+      }
+
+      this._expirations.delete(key);
+    }
+  },
+};
+
+/**
+ * Check if an object implements the dedup cache interface
+ *
+ * @param {object} cache Object to be checked
+ * @returns {boolean} Whether cache has add and delete methods
+ */
+function isDedupCache(cache) {
+  return (
+    Boolean(cache) &&
+    ['add', 'delete'].every((method) => typeof cache[method] === 'function')
+  );
+}
+
+module.exports = {
+  MemoryDedupCache,
+  isDedupCache,
+};
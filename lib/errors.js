@@ -0,0 +1,304 @@
+'use strict';
+
+// Errors the token endpoint responds with when credentials of a user can't be
+// used anymore, i.e. the refresh token has been revoked or has expired, or
+// the service account isn't allowed to impersonate the user
+const AUTH_ERROR_REASONS = ['invalid_grant', 'unauthorized_client'];
+
+// Message of the error google-auth-library throws when the access token has
+// expired and the token has no refresh token to get a new one with
+const NO_REFRESH_TOKEN_MESSAGE = 'No refresh token is set.';
+
+/**
+ * Base of errors thrown by Gmailpush. Every error has emailAddress and
+ * historyId of the notification or the user it was thrown for, and cause,
+ * the underlying error. Each of them is null if unknown or not applicable.
+ *
+ * @param {string} message Error message
+ * @param {object} [props] Properties having emailAddress, historyId and
+ *     cause
+ */
+function GmailpushError(message, props = {}) {
+  if (!(this instanceof GmailpushError)) {
+    return new GmailpushError(message, props);
+  }
+
+  this.name = this.constructor.name;
+  this.message = message;
+  this.emailAddress =
+    props.emailAddress === undefined ? null : props.emailAddress;
+  this.historyId = props.historyId === undefined ? null : props.historyId;
+  this.cause = props.cause === undefined ? null : props.cause;
+
+  Error.captureStackTrace(this, this.constructor);
+}
+
+GmailpushError.prototype = {
+  constructor: GmailpushError,
+};
+
+Object.setPrototypeOf(GmailpushError.prototype, Error.prototype);
+
+/**
+ * Error thrown when options or arguments of Gmailpush methods are invalid,
+ * including label names in options which the mailbox doesn't have
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError
+ */
+function OptionsError(message, props) {
+  if (!(this instanceof OptionsError)) {
+    return new OptionsError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+}
+
+OptionsError.prototype = {
+  constructor: OptionsError,
+};
+
+Object.setPrototypeOf(OptionsError.prototype, GmailpushError.prototype);
+
+/**
+ * Error thrown when a push notification or a push request isn't a valid
+ * Gmail push notification, e.g. message.data is not base64-encoded JSON
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError
+ */
+function NotificationFormatError(message, props) {
+  if (!(this instanceof NotificationFormatError)) {
+    return new NotificationFormatError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+}
+
+NotificationFormatError.prototype = {
+  constructor: NotificationFormatError,
+};
+
+Object.setPrototypeOf(
+  NotificationFormatError.prototype,
+  GmailpushError.prototype
+);
+
+/**
+ * Error thrown when startHistoryId is too old for Gmail API to return
+ * history and resync option is disabled. historyId is the expired
+ * startHistoryId.
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError
+ */
+function HistoryExpiredError(message, props) {
+  if (!(this instanceof HistoryExpiredError)) {
+    return new HistoryExpiredError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+}
+
+HistoryExpiredError.prototype = {
+  constructor: HistoryExpiredError,
+};
+
+Object.setPrototypeOf(HistoryExpiredError.prototype, GmailpushError.prototype);
+
+/**
+ * Error thrown when Authorization header of a Pub/Sub push request fails
+ * verification option, e.g. the OIDC token is missing, has an invalid
+ * signature or has unexpected claims
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError
+ */
+function VerificationError(message, props) {
+  if (!(this instanceof VerificationError)) {
+    return new VerificationError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+}
+
+VerificationError.prototype = {
+  constructor: VerificationError,
+};
+
+Object.setPrototypeOf(VerificationError.prototype, GmailpushError.prototype);
+
+/**
+ * Error thrown when a response of Gmail API isn't in the form Gmailpush
+ * expects, e.g. a batch response without boundary or an attachment response
+ * without data
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError
+ */
+function ResponseFormatError(message, props) {
+  if (!(this instanceof ResponseFormatError)) {
+    return new ResponseFormatError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+}
+
+ResponseFormatError.prototype = {
+  constructor: ResponseFormatError,
+};
+
+Object.setPrototypeOf(ResponseFormatError.prototype, GmailpushError.prototype);
+
+/**
+ * Error thrown when attachment data turns out to be larger than the limit
+ * while it is being downloaded, e.g. because its declared size was smaller
+ * than the actual data
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError. maxSize, the limit in bytes,
+ *     is also taken.
+ */
+function AttachmentSizeError(message, props = {}) {
+  if (!(this instanceof AttachmentSizeError)) {
+    return new AttachmentSizeError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+  this.maxSize = props.maxSize === undefined ? null : props.maxSize;
+}
+
+AttachmentSizeError.prototype = {
+  constructor: AttachmentSizeError,
+};
+
+Object.setPrototypeOf(AttachmentSizeError.prototype, GmailpushError.prototype);
+
+/**
+ * Error thrown when Gmail API rejects the credentials of a mailbox, e.g.
+ * because its refresh token has been revoked or has expired, or because the
+ * service account isn't allowed to impersonate it. The mailbox can't be
+ * accessed until the credentials are fixed.
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError. reason, e.g. 'invalid_grant',
+ *     is also taken.
+ */
+function AuthError(message, props = {}) {
+  if (!(this instanceof AuthError)) {
+    return new AuthError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+  this.reason = props.reason === undefined ? null : props.reason;
+}
+
+AuthError.prototype = {
+  constructor: AuthError,
+};
+
+Object.setPrototypeOf(AuthError.prototype, GmailpushError.prototype);
+
+/**
+ * Error thrown when Gmail API keeps responding with rate limit errors, i.e.
+ * 429 or 403 of rateLimitExceeded or userRateLimitExceeded reason, after
+ * retries by retry option. status is the HTTP status code of the last
+ * response.
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError. status is also taken.
+ */
+function RateLimitError(message, props = {}) {
+  if (!(this instanceof RateLimitError)) {
+    return new RateLimitError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+  this.status = props.status === undefined ? null : props.status;
+}
+
+RateLimitError.prototype = {
+  constructor: RateLimitError,
+};
+
+Object.setPrototypeOf(RateLimitError.prototype, GmailpushError.prototype);
+
+/**
+ * Error thrown when a Gmail API request fails for other reasons than
+ * rejected credentials and rate limit, e.g. 5xx after retries, 404 or a
+ * network error. status is the HTTP status code || null if there was no
+ * response.
+ *
+ * @param {string} message Error message
+ * @param {object} [props] See GmailpushError. status is also taken.
+ */
+function GmailApiError(message, props = {}) {
+  if (!(this instanceof GmailApiError)) {
+    return new GmailApiError(message, props);
+  }
+
+  GmailpushError.call(this, message, props);
+  this.status = props.status === undefined ? null : props.status;
+}
+
+GmailApiError.prototype = {
+  constructor: GmailApiError,
+};
+
+Object.setPrototypeOf(GmailApiError.prototype, GmailpushError.prototype);
+
+/**
+ * Get the reason why the token endpoint or Gmail API has rejected
+ * credentials
+ *
+ * @param {object} err Error thrown while getting an access token or by Gmail
+ *     API request
+ * @returns {string} One of AUTH_ERROR_REASONS, 'no_refresh_token' if the
+ *     access token has expired and can't be refreshed, or
+ *     'invalid_credentials' if Gmail API has responded with 401 || null if
+ *     err is not an error of rejected credentials
+ */
+function getAuthErrorReason(err) {
+  if (!err) {
+    return null;
+  }
+
+  const data = (err.response && err.response.data) || {};
+  const reason = AUTH_ERROR_REASONS.find(
+    (errorReason) =>
+      data.error === errorReason ||
+      (typeof err.message === 'string' &&
+        err.message.split(':')[0] === errorReason)
+  );
+
+  if (reason) {
+    return reason;
+  }
+
+  if (err.message === NO_REFRESH_TOKEN_MESSAGE) {
+    return 'no_refresh_token';
+  }
+
+  const status =
+    err.response && err.response.status
+      ? Number(err.response.status)
+      : Number(err.code);
+
+  // Gmail API responds with 401 of authError reason to an access token which
+  // is invalid, e.g. revoked, and couldn't be refreshed
+  return status === 401 ? 'invalid_credentials' : null;
+}
+
+module.exports = {
+  GmailpushError,
+  OptionsError,
+  NotificationFormatError,
+  HistoryExpiredError,
+  VerificationError,
+  ResponseFormatError,
+  AttachmentSizeError,
+  AuthError,
+  RateLimitError,
+  GmailApiError,
+  getAuthErrorReason,
+};
@@ -0,0 +1,357 @@
+'use strict';
+
+const {OptionsError} = require('./errors');
+
+const FILTER_KEYS = [
+  'from',
+  'to',
+  'cc',
+  'bcc',
+  'subject',
+  'hasAttachment',
+  'larger',
+  'smaller',
+  'after',
+  'before',
+  'and',
+  'or',
+  'not',
+];
+const SIZE_UNITS = {K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024};
+
+/**
+ * Check if a text matches a string, case-insensitively as a substring, or a
+ * RegExp
+ *
+ * @param {string} text Text to be checked
+ * @param {string|RegExp} pattern String or RegExp
+ * @returns {boolean} Whether text matches pattern
+ */
+function matchesText(text, pattern) {
+  if (typeof text !== 'string') {
+    return false;
+  }
+
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  }
+
+  return text.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+/**
+ * Check if any of addresses matches a pattern by name or address
+ *
+ * @param {Object[]} addresses Parsed addresses having name and address
+ * @param {string|RegExp} pattern String or RegExp
+ * @returns {boolean} Whether any of addresses matches pattern
+ */
+function matchesAddresses(addresses, pattern) {
+  return (addresses || []).some(
+    (address) =>
+      matchesText(address.address, pattern) ||
+      matchesText(address.name, pattern)
+  );
+}
+
+/**
+ * Convert a date filter value into milliseconds since epoch
+ *
+ * @param {Date|number|string} value Date, milliseconds or date string
+ * @param {string} key Filter key for error message
+ * @returns {number} Milliseconds since epoch
+ */
+function toTime(value, key) {
+  let time;
+
+  if (typeof value === 'number') {
+    time = value;
+  } else if (value instanceof Date) {
+    time = value.getTime();
+  } else {
+    time = Date.parse(value);
+  }
+
+  if (Number.isNaN(time)) {
+    throw new OptionsError(`filter.${key} must be a date`);
+  }
+
+  return time;
+}
+
+/**
+ * Get time a message was received, from internalDate or Date header
+ *
+ * @param {object} message Parsed message
+ * @returns {number} Milliseconds since epoch || NaN if unknown
+ */
+function getMessageTime(message) {
+  if (message.internalDate !== undefined) {
+    return Number(message.internalDate);
+  }
+
+  return Date.parse(message.date);
+}
+
+/**
+ * Compile a single condition of filter object into a predicate
+ *
+ * @param {string} key One of FILTER_KEYS
+ * @param {*} value Value of the condition
+ * @returns {function} Predicate taking a parsed message
+ */
+function compileCondition(key, value) {
+  switch (key) {
+    case 'from':
+      return (message) => matchesAddresses(message.fromList, value);
+    case 'to':
+    case 'cc':
+    case 'bcc':
+      return (message) => matchesAddresses(message[key], value);
+    case 'subject':
+      return (message) => matchesText(message.subject, value);
+    case 'hasAttachment':
+      return (message) =>
+        (message.attachments || []).some((attachment) => !attachment.inline) ===
+        Boolean(value);
+    case 'larger':
+      return (message) => Number(message.sizeEstimate) > value;
+    case 'smaller':
+      return (message) => Number(message.sizeEstimate) < value;
+    case 'after': {
+      const time = toTime(value, key);
+
+      return (message) => getMessageTime(message) >= time;
+    }
+    case 'before': {
+      const time = toTime(value, key);
+
+      return (message) => getMessageTime(message) < time;
+    }
+    case 'and':
+    case 'or': {
+      if (!Array.isArray(value)) {
+        throw new OptionsError(`filter.${key} must be an array of filters`);
+      }
+
+      const predicates = value.map((filter) => compileFilter(filter));
+
+      return key === 'and'
+        ? (message) => predicates.every((predicate) => predicate(message))
+        : (message) => predicates.some((predicate) => predicate(message));
+    }
+    case 'not': {
+      const predicate = compileFilter(value);
+
+      return (message) => !predicate(message);
+    }
+    default:
+      throw new OptionsError(
+        `filter may only contain the following: ${FILTER_KEYS.join(', ')}`
+      );
+  }
+}
+
+/**
+ * Split Gmail search query into tokens: '(', ')', 'OR', '-' and terms,
+ * keeping quoted values together
+ *
+ * @param {string} query Gmail search query
+ * @returns {string[]} Tokens
+ */
+function tokenize(query) {
+  const tokens = [];
+  const tokenPattern = /\s*(\(|\)|-(?=\S)|(?:[^\s()"]|"[^"]*")+)/g;
+  let match = tokenPattern.exec(query);
+
+  while (match) {
+    tokens.push(match[1]);
+    match = tokenPattern.exec(query);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse size of larger: or smaller:, e.g. 10M
+ *
+ * @param {string} value Size with optional K, M or G unit
+ * @returns {number} Size in bytes
+ */
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)([KMG])?B?$/i.exec(value);
+
+  if (!match) {
+    throw new OptionsError(`Invalid size in search query: ${value}`);
+  }
+
+  return Number(match[1]) * (SIZE_UNITS[(match[2] || '').toUpperCase()] || 1);
+}
+
+/**
+ * Parse date of after: or before:, i.e. YYYY/MM/DD in UTC or seconds since
+ * epoch
+ *
+ * @param {string} value Date in search query
+ * @returns {number} Milliseconds since epoch
+ */
+function parseDate(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  const match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec(value);
+
+  if (!match) {
+    throw new OptionsError(`Invalid date in search query: ${value}`);
+  }
+
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Convert a term of Gmail search query, e.g. from:user@example.com, into
+ * filter object
+ *
+ * @param {string} term Term of Gmail search query
+ * @returns {object} Filter object
+ */
+function parseTerm(term) {
+  const match = /^([a-z]+):(.+)$/i.exec(term);
+
+  if (!match) {
+    throw new OptionsError(`Unsupported term in search query: ${term}`);
+  }
+
+  const operator = match[1].toLowerCase();
+  const value = match[2].replace(/^"(.*)"$/, '$1');
+
+  switch (operator) {
+    case 'from':
+    case 'to':
+    case 'cc':
+    case 'bcc':
+    case 'subject':
+      return {[operator]: value};
+    case 'has':
+      if (value.toLowerCase() !== 'attachment') {
+        throw new OptionsError(`Unsupported term in search query: ${term}`);
+      }
+      return {hasAttachment: true};
+    case 'larger':
+    case 'smaller':
+      return {[operator]: parseSize(value)};
+    case 'after':
+    case 'before':
+      return {[operator]: parseDate(value)};
+    default:
+      throw new OptionsError(`Unsupported term in search query: ${term}`);
+  }
+}
+
+/**
+ * Parse a subset of Gmail search syntax into filter object. Supported are
+ * from:, to:, cc:, bcc:, subject:, has:attachment, larger:, smaller:,
+ * after: and before: terms, which are AND-ed, combined with OR, negated
+ * with - and grouped with parentheses.
+ *
+ * @param {string} query Gmail search query, e.g.
+ *     'from:billing@example.com has:attachment larger:1M'
+ * @returns {object} Filter object
+ */
+function parseSearchQuery(query) {
+  const tokens = tokenize(query);
+  let position = 0;
+
+  const parseOr = () => {
+    const filters = [parseAnd()];
+
+    while (tokens[position] === 'OR') {
+      position += 1;
+      filters.push(parseAnd());
+    }
+
+    return filters.length === 1 ? filters[0] : {or: filters};
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position];
+
+    position += 1;
+
+    if (token === '-') {
+      return {not: parseUnary()};
+    }
+
+    if (token === '(') {
+      const filter = parseOr();
+
+      if (tokens[position] !== ')') {
+        throw new OptionsError('Unbalanced parentheses in search query');
+      }
+
+      position += 1;
+
+      return filter;
+    }
+
+    if (token === undefined || token === ')' || token === 'OR') {
+      throw new OptionsError('Unexpected end of term in search query');
+    }
+
+    return parseTerm(token);
+  };
+
+  const parseAnd = () => {
+    const filters = [parseUnary()];
+
+    while (
+      position < tokens.length &&
+      tokens[position] !== ')' &&
+      tokens[position] !== 'OR'
+    ) {
+      filters.push(parseUnary());
+    }
+
+    return filters.length === 1 ? filters[0] : {and: filters};
+  };
+
+  const filter = parseOr();
+
+  if (position < tokens.length) {
+    throw new OptionsError('Unbalanced parentheses in search query');
+  }
+
+  return filter;
+}
+
+/**
+ * Compile filter option into a predicate evaluated against parsed messages.
+ * Filter is either Gmail search query or filter object of which conditions
+ * are AND-ed.
+ *
+ * @param {string|object} filter Gmail search query or filter object
+ * @returns {function} Predicate taking a parsed message and returning
+ *     whether the message passes the filter
+ */
+function compileFilter(filter) {
+  if (typeof filter === 'string') {
+    return compileFilter(parseSearchQuery(filter));
+  }
+
+  if (filter !== Object(filter) || Array.isArray(filter)) {
+    throw new OptionsError('filter option must be a string or an object');
+  }
+
+  const predicates = Object.keys(filter).map((key) =>
+    compileCondition(key, filter[key])
+  );
+
+  return (message) => predicates.every((predicate) => predicate(message));
+}
+
+module.exports = {
+  compileFilter,
+  parseSearchQuery,
+};
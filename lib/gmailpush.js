@@ -1,10 +1,113 @@
 'use strict';
 
+const crypto = require('crypto');
+const {EventEmitter} = require('events');
+const {PassThrough} = require('stream');
+const KeyedMutex = require('./mutex');
+const {
+  createAttachmentDecoder,
+  matchesMimeType,
+  toSafeFilename,
+  writeStreamToFile,
+} = require('./attachment');
+const {
+  GMAIL_BATCH_URL,
+  createMessagesBatchBody,
+  parseBatchResponse,
+} = require('./batch');
+const {mapWithConcurrency} = require('./concurrency');
+const {compileFilter} = require('./filter');
+const {parseAddressList} = require('./address');
+const {decodeCharset} = require('./charset');
+const {
+  GmailpushError,
+  OptionsError,
+  NotificationFormatError,
+  HistoryExpiredError,
+  VerificationError,
+  ResponseFormatError,
+  AttachmentSizeError,
+  AuthError,
+  RateLimitError,
+  GmailApiError,
+  getAuthErrorReason,
+} = require('./errors');
+const {
+  decodeBase64,
+  getHeaderValue,
+  getHeaderValues,
+  parseParameterizedHeader,
+} = require('./mime');
+const {parseRawMessage} = require('./rfc822');
+const {retry} = require('./retry');
+const TokenVerifier = require('./verify');
+const PullConsumer = require('./pull');
+const WatchManager = require('./watch');
+const createMiddleware = require('./middleware');
 const {google} = require('googleapis');
-const fs = require('fs').promises;
+const {MemoryDedupCache, isDedupCache} = require('./dedup');
+const {
+  FileHistoryStore,
+  MemoryHistoryStore,
+  isHistoryStore,
+} = require('./store');
 
 const GMAIL_API_VERSION = 'v1';
 const DEFAULT_HISTORY_ID_FILE_PATH = 'gmailpush_history.json';
+const DEFAULT_DEDUP_TTL = 24 * 60 * 60 * 1000;
+const DEFAULT_RESYNC_WINDOW = 24 * 60 * 60 * 1000;
+const DEFAULT_RESYNC_MAX_RESULTS = 100;
+const DEFAULT_ATTACHMENT_CONCURRENCY = 2;
+const DEFAULT_WATCH_RENEW_BEFORE = 24 * 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_BATCH_SIZE = 50;
+// Gmail API accepts at most 100 requests in a batch request
+const MAX_BATCH_SIZE = 100;
+const DEFAULT_RETRIES = 5;
+const DEFAULT_RETRY_MIN_DELAY = 1000;
+const DEFAULT_RETRY_MAX_DELAY = 32000;
+// Reasons of 403 errors Gmail API responds with when per-user rate limit
+// is exceeded, which can be retried unlike other 403 errors
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+// Network errors worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+const ATTACHMENT_SELECTION_OPTIONS = [
+  'attachmentMimeTypes',
+  'attachmentFilenamePattern',
+  'maxAttachmentSize',
+  'skipInline',
+];
+// Gmail API returns at most 500 messages per page of users.messages.list
+const MAX_MESSAGES_LIST_PAGE_SIZE = 500;
+const LABEL_CACHE_TTL = 5 * 60 * 1000;
+const LABEL_ID_PROPERTIES = [
+  'addedLabelIds',
+  'removedLabelIds',
+  'withLabelIds',
+  'withoutLabelIds',
+];
+const SYSTEM_LABEL_IDS = [
+  'CHAT',
+  'SENT',
+  'INBOX',
+  'IMPORTANT',
+  'TRASH',
+  'DRAFT',
+  'SPAM',
+  'STARRED',
+  'UNREAD',
+  'CATEGORY_FORUMS',
+  'CATEGORY_UPDATES',
+  'CATEGORY_PERSONAL',
+  'CATEGORY_PROMOTIONS',
+  'CATEGORY_SOCIAL',
+];
+// Enough for watch, history, messages and labels which Gmailpush requests
+const DEFAULT_SERVICE_ACCOUNT_SCOPES = [
+  'https://www.googleapis.com/auth/gmail.readonly',
+];
+const VALID_LABEL_FILTER_ACTIONS = ['include', 'exclude'];
+const VALID_MESSAGE_FORMATS = ['full', 'metadata', 'minimal', 'raw'];
 const VALID_HISTORY_TYPES = [
   'messageAdded',
   'messageDeleted',
@@ -17,18 +120,107 @@ function Gmailpush(options) {
     return new Gmailpush(options);
   }
 
+  EventEmitter.call(this);
+
+  const isServiceAccount = Boolean(options && options.serviceAccount);
   const props = this._getPropsFromOptions(options, {
-    required: ['clientId', 'clientSecret', 'pubsubTopic'],
-    optional: ['prevHistoryIdFilePath'],
+    required: isServiceAccount
+      ? ['pubsubTopic']
+      : ['clientId', 'clientSecret', 'pubsubTopic'],
+    optional: [
+      'clientId',
+      'clientSecret',
+      'serviceAccount',
+      'prevHistoryIdFilePath',
+      'store',
+      'resync',
+      'verification',
+      'subscriptions',
+      'dedup',
+      'concurrency',
+      'batch',
+      'retry',
+      'tokenProvider',
+      'onTokens',
+      'watch',
+    ],
   });
 
+  if (props.store && props.prevHistoryIdFilePath) {
+    throw new OptionsError(
+      'store and prevHistoryIdFilePath options should not be used together'
+    );
+  }
+
+  if (props.store && !isHistoryStore(props.store)) {
+    throw new OptionsError(
+      'store option must have the following methods: get, set, list, delete'
+    );
+  }
+
+  if (isServiceAccount) {
+    const userAuthOptions = [
+      'clientId',
+      'clientSecret',
+      'tokenProvider',
+      'onTokens',
+    ].filter((name) => props[name] !== undefined);
+
+    if (userAuthOptions.length > 0) {
+      throw new OptionsError(
+        `serviceAccount option should not be used together with ${userAuthOptions.join(
+          ', '
+        )}`
+      );
+    }
+  }
+
+  for (const name of ['tokenProvider', 'onTokens']) {
+    if (props[name] !== undefined && typeof props[name] !== 'function') {
+      throw new OptionsError(`${name} option should be a function`);
+    }
+  }
+
   this._api = {
-    auth: new google.auth.OAuth2(props.clientId, props.clientSecret),
-    prevHistoryIdFilePath:
-      props.prevHistoryIdFilePath || DEFAULT_HISTORY_ID_FILE_PATH,
-    prevHistories: [],
+    clientId: props.clientId,
+    clientSecret: props.clientSecret,
+    store:
+      props.store ||
+      new FileHistoryStore(
+        props.prevHistoryIdFilePath || DEFAULT_HISTORY_ID_FILE_PATH
+      ),
     pubsubTopic: props.pubsubTopic,
+    resync: this._getResyncFromProps(props),
+    verifier: props.verification ? new TokenVerifier(props.verification) : null,
+    subscriptions: props.subscriptions || null,
+    dedup: this._getDedupFromProps(props),
+    concurrency: props.concurrency || DEFAULT_CONCURRENCY,
+    batch: this._getBatchFromProps(props),
+    retry: this._getRetryFromProps(props),
+    tokenProvider: props.tokenProvider || null,
+    onTokens: props.onTokens || null,
+    serviceAccount: this._getServiceAccountFromProps(props),
+    watch: this._getWatchFromProps(props),
   };
+
+  // Maps impersonated Email addresses to JWT instances of serviceAccount
+  // option, so that access tokens are reused until they expire
+  this._serviceAccountClients = new Map();
+
+  // Serializes read-modify-write of history per Email address
+  this._historyMutex = new KeyedMutex();
+
+  // Serializes notifications handled by middleware() and
+  // createPullConsumer() per Email address
+  this._handlerMutex = new KeyedMutex();
+
+  // Maps Email addresses to their labels and when the labels expire, for
+  // resolving label names without listing labels every time
+  this._labelCache = new Map();
+
+  // Maps messages returned from Gmailpush methods to the context they were
+  // fetched with, so that getAttachment() can use the same gmail instance
+  this._messageContexts = new WeakMap();
 }
 
 Gmailpush.prototype = {
@@ -40,9 +232,75 @@ Gmailpush.prototype = {
    *     emailAddress and historyId
    */
   _parseNotificationPayload(notification) {
-    return JSON.parse(
-      Buffer.from(notification.message.data, 'base64').toString()
-    );
+    try {
+      return JSON.parse(decodeBase64(notification.message.data).toString());
+    } catch (err) {
+      throw new NotificationFormatError(
+        'Notification message.data must be base64-encoded JSON',
+        {cause: err}
+      );
+    }
+  },
+
+  /**
+   * Validate that notification is a Pub/Sub push message of which payload
+   * has emailAddress and historyId
+   *
+   * @param {object} notification Gmail push notification message
+   * @returns {object} Parsed payload with two properties:
+   *     emailAddress and historyId
+   */
+  _validateNotification(notification) {
+    if (
+      !notification ||
+      !notification.message ||
+      typeof notification.message.data !== 'string'
+    ) {
+      throw new NotificationFormatError('Notification must have message.data');
+    }
+
+    const payload = this._parseNotificationPayload(notification);
+
+    if (
+      !payload ||
+      typeof payload.emailAddress !== 'string' ||
+      !Number(payload.historyId)
+    ) {
+      throw new NotificationFormatError(
+        'Notification message.data must have emailAddress and historyId'
+      );
+    }
+
+    if (
+      this._api.subscriptions &&
+      !this._api.subscriptions.includes(notification.subscription)
+    ) {
+      throw new NotificationFormatError(
+        `Notification is from unexpected subscription: ${notification.subscription}`,
+        {
+          emailAddress: payload.emailAddress,
+          historyId: Number(payload.historyId),
+        }
+      );
+    }
+
+    return payload;
+  },
+
+  /**
+   * Verify OIDC token in Authorization header of Pub/Sub push request against
+   * verification option. Resolves without checking anything if verification
+   * option is not set.
+   *
+   * @param {string} authorization Value of Authorization header
+   * @returns {object} Claims of the verified token || null
+   */
+  verifyAuthorization(authorization) {
+    if (!this._api.verifier) {
+      return Promise.resolve(null);
+    }
+
+    return this._api.verifier.verify(authorization);
   },
 
   /**
@@ -53,7 +311,9 @@ Gmailpush.prototype = {
    */
   getEmailAddress(notification) {
     if (notification === undefined) {
-      throw new Error('getEmailAddress() requires an argument: notification');
+      throw new OptionsError(
+        'getEmailAddress() requires an argument: notification'
+      );
     }
 
     return this._parseNotificationPayload(notification).emailAddress;
@@ -70,86 +330,332 @@ Gmailpush.prototype = {
   },
 
   /**
-   * Initialize Gmailpush before requesting to Gmail API
-   *
-   * 1. Set OAuth2 instance with access token
-   * 2. Create gmail instance
-   * 3. Load prevHistoryId
-   * 4. Call watch() if necessary
+   * Create a context for a single call of Gmailpush methods. Everything that
+   * depends on the user, e.g. OAuth2 instance, gmail instance and filters,
+   * is kept in the context instead of this._api so that one Gmailpush
+   * instance can handle notifications for many users concurrently.
    *
    * @param {object} notification Gmail push notification message
-   * @param {object} token Gmail API OAuth2 access token
-   * @returns {boolean} Whether to proceed Gmailpush methods or not depending
-   *     on if historyId from the push notification is newer than prevHistoryId.
+   * @param {object} [token] Gmail API OAuth2 token. If omitted, token is
+   *     taken from tokenProvider option. Ignored if serviceAccount option is
+   *     set.
+   * @returns {object} Context having auth, gmail, emailAddress and historyId
+   *     of the notification
    */
-  async _initialize(notification, token) {
-    this._api.auth.setCredentials(token);
-    this._api.gmail = google.gmail({
-      version: GMAIL_API_VERSION,
-      auth: this._api.auth,
-    });
-    this._api.emailAddress = this.getEmailAddress(notification);
+  async _createContext(notification, token) {
+    const {emailAddress, historyId} = this._validateNotification(notification);
+    const context = await this._createUserContext(emailAddress, token);
 
-    try {
-      this._api.prevHistories = JSON.parse(
-        await fs.readFile(this._api.prevHistoryIdFilePath)
+    context.historyId = Number(historyId);
+
+    return context;
+  },
+
+  /**
+   * Create a context for a user without a notification, e.g. for managing
+   * watch of the user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} [token] Same as that of _createContext()
+   * @returns {object} Context having auth, gmail and emailAddress
+   */
+  async _createUserContext(emailAddress, token) {
+    const auth = this._api.serviceAccount
+      ? this._getServiceAccountClient(emailAddress)
+      : await this._createOAuth2Client(emailAddress, token);
+
+    return {
+      auth,
+      gmail: google.gmail({
+        version: GMAIL_API_VERSION,
+        auth,
+      }),
+      emailAddress,
+      historyId: null,
+    };
+  },
+
+  /**
+   * Create OAuth2 instance authorized with token of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} [token] Gmail API OAuth2 token
+   * @returns {object} OAuth2 instance
+   */
+  async _createOAuth2Client(emailAddress, token) {
+    const auth = new google.auth.OAuth2(
+      this._api.clientId,
+      this._api.clientSecret
+    );
+    auth.setCredentials(await this._getToken(emailAddress, token));
+
+    if (this._api.onTokens) {
+      auth.on('tokens', (tokens) => this._handleTokens(emailAddress, tokens));
+    }
+
+    return auth;
+  },
+
+  /**
+   * Get JWT instance of serviceAccount option impersonating the subject
+   * serviceAccount.subject maps the Email address of a mailbox to, creating
+   * it if there is none yet
+   *
+   * @param {string} emailAddress Email address of the mailbox
+   * @returns {object} JWT instance
+   */
+  _getServiceAccountClient(emailAddress) {
+    const serviceAccount = this._api.serviceAccount;
+    const subject = serviceAccount.subject(emailAddress);
+
+    if (typeof subject !== 'string' || !subject) {
+      throw new OptionsError(
+        `serviceAccount.subject returned no subject for ${emailAddress}`,
+        {emailAddress}
       );
-    } catch (err) {
-      if (err.message.startsWith('ENOENT: no such file or directory')) {
-        this._api.prevHistories.push({
-          emailAddress: this._api.emailAddress,
-          prevHistoryId: this._getHistoryId(notification),
-          watchExpiration: null,
-        });
-      } else {
-        throw err;
-      }
     }
 
-    const prevHistory = this._api.prevHistories.find(
-      (prevHistory) => prevHistory.emailAddress === this._api.emailAddress
-    );
+    if (!this._serviceAccountClients.has(subject)) {
+      this._serviceAccountClients.set(
+        subject,
+        new google.auth.JWT({
+          email: serviceAccount.credentials.client_email,
+          key: serviceAccount.credentials.private_key,
+          keyId: serviceAccount.credentials.private_key_id,
+          keyFile: serviceAccount.keyFile,
+          scopes: serviceAccount.scopes,
+          subject,
+        })
+      );
+    }
+
+    return this._serviceAccountClients.get(subject);
+  },
 
-    // Call watch() to extend watch expiration for 7 days
-    prevHistory.watchExpiration = await this._refreshWatch();
+  /**
+   * Get token of a user, asking tokenProvider option for it if token isn't
+   * given
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} [token] Gmail API OAuth2 token
+   * @returns {object} Gmail API OAuth2 token
+   */
+  async _getToken(emailAddress, token) {
+    if (token !== undefined) {
+      return token;
+    }
 
-    // If newly received historyId is less than or equal to previous historyId,
-    // it is unnecessary to get messages, so shouldProceed is set to false
-    if (this._getHistoryId(notification) <= prevHistory.prevHistoryId) {
-      fs.writeFile(
-        this._api.prevHistoryIdFilePath,
-        JSON.stringify(this._api.prevHistories)
+    if (!this._api.tokenProvider) {
+      throw new OptionsError(
+        'token option is required unless tokenProvider is set',
+        {emailAddress}
       );
+    }
 
-      return false;
-    } else {
-      this._api.startHistoryId = prevHistory.prevHistoryId;
-      prevHistory.prevHistoryId = this._getHistoryId(notification);
+    const providedToken = await this._api.tokenProvider(emailAddress);
 
-      fs.writeFile(
-        this._api.prevHistoryIdFilePath,
-        JSON.stringify(this._api.prevHistories)
+    if (!providedToken) {
+      throw new AuthError(
+        `tokenProvider returned no token for ${emailAddress}`,
+        {
+          emailAddress,
+          reason: 'no_token',
+        }
       );
+    }
+
+    return providedToken;
+  },
+
+  /**
+   * Pass tokens refreshed by OAuth2 instance to onTokens option so that they
+   * can be stored. Errors from onTokens are emitted as 'error' event if
+   * there is a listener, or otherwise as a process warning, since they
+   * can't fail the request that refreshed the tokens.
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} tokens Refreshed tokens, e.g. access_token and
+   *     expiry_date. refresh_token is included only if it has changed.
+   */
+  _handleTokens(emailAddress, tokens) {
+    Promise.resolve()
+      .then(() => this._api.onTokens(emailAddress, tokens))
+      .catch((err) => {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', err);
+        } else {
+          process.emitWarning(err);
+        }
+      });
+  },
+
+  /**
+   * Initialize context before requesting history to Gmail API
+   *
+   * 1. Load prevHistoryId from the history store
+   * 2. Call watch() if watch expires within watch.renewBefore
+   * 3. Set startHistoryId to context and store new prevHistoryId in a single
+   *    atomic update of the history store
+   *
+   * If context.deferCommit is set, new prevHistoryId is only set to
+   * context.pendingHistoryId and stored later by _commitHistory(), so that
+   * history of a notification which fails to be handled is got again.
+   *
+   * @param {object} context Context created by _createContext()
+   * @param {object} notification Gmail push notification message
+   * @returns {boolean} Whether to proceed Gmailpush methods or not depending
+   *     on if historyId from the push notification is newer than prevHistoryId.
+   */
+  _initialize(context, notification) {
+    const emailAddress = context.emailAddress;
+    const historyId = this._getHistoryId(notification);
+
+    // Reading prevHistoryId and storing new one are serialized per Email
+    // address, and made atomic across instances by update() of the store, so
+    // that overlapping notifications never get the same range of history
+    return this._historyMutex.run(emailAddress, async () => {
+      const storedHistory = await this._api.store.get(emailAddress);
+      // Call watch() to extend watch expiration for 7 days if it expires soon
+      const watch = this._shouldRefreshWatch(storedHistory)
+        ? await this._refreshWatch(
+            context,
+            (storedHistory && storedHistory.watchRequest) ||
+              this._api.watch.request
+          )
+        : null;
+      let startHistoryId = null;
+
+      await this._updateHistory(emailAddress, (history) => {
+        const prevHistory = history || {
+          emailAddress,
+          prevHistoryId: historyId,
+          watchExpiration: null,
+        };
+
+        if (watch) {
+          prevHistory.watchExpiration = watch.expiration;
+        }
+
+        // If newly received historyId is less than or equal to previous
+        // historyId, it is unnecessary to get messages
+        if (historyId <= prevHistory.prevHistoryId) {
+          startHistoryId = null;
+        } else {
+          startHistoryId = prevHistory.prevHistoryId;
+
+          if (!context.deferCommit) {
+            prevHistory.prevHistoryId = historyId;
+          }
+        }
+
+        return prevHistory;
+      });
+
+      if (startHistoryId === null) {
+        return false;
+      }
+
+      context.startHistoryId = startHistoryId;
+
+      if (context.deferCommit) {
+        context.pendingHistoryId = historyId;
+      }
 
       return true;
+    });
+  },
+
+  /**
+   * Store prevHistoryId deferred by _initialize(). It never moves
+   * prevHistoryId backwards, e.g. when a newer notification has been
+   * handled in the meantime.
+   *
+   * @param {object} context Context having pendingHistoryId || null
+   */
+  async _commitHistory(context) {
+    if (!context || !context.pendingHistoryId) {
+      return;
     }
+
+    const emailAddress = context.emailAddress;
+    const historyId = context.pendingHistoryId;
+
+    context.pendingHistoryId = null;
+
+    await this._historyMutex.run(emailAddress, () =>
+      this._updateHistory(emailAddress, (history) => {
+        if (!history || history.prevHistoryId >= historyId) {
+          return null;
+        }
+
+        history.prevHistoryId = historyId;
+
+        return history;
+      })
+    );
   },
 
   /**
-   * Get history from startHistoryId.
+   * Read, modify and write history entry of a user by update() of the
+   * history store, which makes it atomic across server instances sharing the
+   * store. Stores without update() fall back to get() and set(), which is
+   * atomic only within this process because callers hold _historyMutex.
    *
-   * If nextPageToken is present in the gmail response,
-   * this method will call _getHistory(nextPageToken) recursively to get
-   * remaining history.
+   * @param {string} emailAddress Email address of the user
+   * @param {function} updater Function taking the current entry || null and
+   *     returning the new entry, or null to leave it as is. It may be called
+   *     more than once if the store retries the update.
+   * @returns {object} Entry after update || null
+   */
+  async _updateHistory(emailAddress, updater) {
+    const store = this._api.store;
+
+    if (typeof store.update === 'function') {
+      return store.update(emailAddress, updater);
+    }
+
+    const current = await store.get(emailAddress);
+    const history = updater(current);
+
+    if (!history) {
+      return current;
+    }
+
+    await store.set(emailAddress, history);
+
+    return history;
+  },
+
+  /**
+   * Get history from startHistoryId by collecting every page yielded by
+   * _iterateHistoryPagesOrResync().
    *
-   * @param {string} pageToken Token for requesting next page of
-   *     history if there are more than one page of history
+   * @param {object} context Context having startHistoryId
    * @returns {Object[]} History from startHistoryId
    */
-  async _getHistory(pageToken) {
+  async _getHistory(context) {
+    const history = [];
+
+    for await (const page of this._iterateHistoryPagesOrResync(context)) {
+      history.push(...page);
+    }
+
+    return history;
+  },
+
+  /**
+   * Iterate history from startHistoryId page by page. If nextPageToken is
+   * present in the gmail response, this method will yield from itself
+   * recursively with nextPageToken.
+   *
+   * @param {object} context Context having startHistoryId
+   * @param {string} [pageToken] Token for requesting next page of history
+   * @yields {Object[]} A page of history from startHistoryId
+   */
+  async *_iterateHistoryPages(context, pageToken) {
     const options = {
-      userId: this._api.emailAddress,
-      startHistoryId: this._api.startHistoryId,
+      userId: context.emailAddress,
+      startHistoryId: context.startHistoryId,
     };
 
     if (pageToken) {
@@ -157,50 +663,189 @@ Gmailpush.prototype = {
     }
 
     const {nextPageToken, history} = (
-      await this._api.gmail.users.history.list(options)
+      await this._request(context, (requestOptions) =>
+        context.gmail.users.history.list(options, requestOptions)
+      )
     ).data;
 
+    yield history || [];
+
     if (nextPageToken) {
-      return [].concat(await this._getHistory(nextPageToken));
+      yield* this._iterateHistoryPages(context, nextPageToken);
+    }
+  },
+
+  /**
+   * Check if an error from gmail.users.history.list() means that
+   * startHistoryId is too old. Gmail API responds with 404 in that case.
+   *
+   * @param {object} err Error thrown by Gmail API request
+   * @returns {boolean} Whether startHistoryId has expired or not
+   */
+  _isHistoryExpiredError(err) {
+    return this._getErrorStatus(err) === 404;
+  },
+
+  /**
+   * Get HTTP status code from an error thrown by Gmail API request
+   *
+   * @param {object} err Error thrown by Gmail API request
+   * @returns {number} HTTP status code || null if err is not an HTTP error
+   */
+  _getErrorStatus(err) {
+    if (err instanceof GmailApiError || err instanceof RateLimitError) {
+      return err.status;
+    }
+
+    if (err.response && err.response.status) {
+      return Number(err.response.status);
+    }
+
+    return Number(err.code) || null;
+  },
+
+  /**
+   * Iterate history page by page, falling back to _resync() if
+   * startHistoryId has expired before the first page. If resync option is
+   * disabled, HistoryExpiredError is thrown instead.
+   *
+   * @param {object} context Context having startHistoryId
+   * @yields {Object[]} A page of history from startHistoryId or history
+   *     made up of recent messages
+   */
+  async *_iterateHistoryPagesOrResync(context) {
+    let hasYielded = false;
+
+    try {
+      for await (const page of this._iterateHistoryPages(context)) {
+        hasYielded = true;
+        yield page;
+      }
+    } catch (err) {
+      if (!hasYielded && this._isHistoryExpiredError(err)) {
+        if (!this._api.resync) {
+          // History before the expired startHistoryId can't be got by
+          // handling the notification again
+          await this._commitHistory(context);
+
+          throw new HistoryExpiredError(
+            `History of ${context.emailAddress} from ${context.startHistoryId} has expired`,
+            {
+              emailAddress: context.emailAddress,
+              historyId: context.startHistoryId,
+              cause: err,
+            }
+          );
+        }
+
+        yield await this._resync(context);
+        return;
+      }
+
+      throw err;
+    }
+  },
+
+  /**
+   * Make up history from recent messages when startHistoryId is too old
+   * for Gmail API to return history. Messages are listed by
+   * gmail.users.messages.list() with resync.query within resync.window,
+   * up to resync.maxResults messages, and turned into messageAdded history.
+   *
+   * prevHistoryId in the history store is replaced with historyId of the
+   * notification by _initialize(), or by _commitHistory() once the
+   * notification has been handled, so the next notification will get
+   * history as usual.
+   *
+   * @param {object} context Context having startHistoryId
+   * @returns {Object[]} History made up of recent messages
+   */
+  async _resync(context) {
+    const messages = await this._listRecentMessages(context);
+
+    context.resynced = true;
+
+    this.emit('resynced', {
+      emailAddress: context.emailAddress,
+      startHistoryId: context.startHistoryId,
+      messageCount: messages.length,
+    });
+
+    return messages.map((message) => ({
+      id: context.startHistoryId,
+      messages: [message],
+      messagesAdded: [{message}],
+    }));
+  },
+
+  /**
+   * List ids of recent messages for _resync(). If nextPageToken is present in
+   * the gmail response, this method will call itself recursively until
+   * resync.maxResults messages are listed.
+   *
+   * @param {object} context Context having gmail instance
+   * @param {string} pageToken Token for requesting next page of messages
+   * @param {number} count Number of messages listed so far
+   * @returns {Object[]} Messages having id and threadId
+   */
+  async _listRecentMessages(context, pageToken, count = 0) {
+    const {query, window, maxResults} = this._api.resync;
+    const after = Math.floor((Date.now() - window) / 1000);
+    const options = {
+      userId: context.emailAddress,
+      q: [query, `after:${after}`].filter(Boolean).join(' '),
+      maxResults: Math.min(maxResults - count, MAX_MESSAGES_LIST_PAGE_SIZE),
+    };
+
+    if (pageToken) {
+      options.pageToken = pageToken;
+    }
+
+    const {nextPageToken, messages = []} = (
+      await this._request(context, (requestOptions) =>
+        context.gmail.users.messages.list(options, requestOptions)
+      )
+    ).data;
+
+    if (nextPageToken && count + messages.length < maxResults) {
+      return messages.concat(
+        await this._listRecentMessages(
+          context,
+          nextPageToken,
+          count + messages.length
+        )
+      );
     }
 
-    return history || [];
+    return messages;
   },
 
   /**
-   * Filter history by this._api.historyTypes,
-   * and if this._api.addedLabelIds or this._api.removedLabelIds is present,
+   * Filter history by context.historyTypes,
+   * and if context.addedLabelIds or context.removedLabelIds is present,
    * filter further by those label ids.
    *
+   * @param {object} context Context having filters
    * @param {object} history Gmail API history object
    * @returns {object} Filtered history
    */
-  _filterHistory(history) {
-    let filteredWithHistoryTypes = [];
-    for (const historyType of this._api.historyTypes) {
-      filteredWithHistoryTypes = filteredWithHistoryTypes.concat(
-        history.filter((historyEntry) => {
-          if (
-            historyEntry.hasOwnProperty(
-              this._makeHistoryTypePlural(historyType)
-            )
-          ) {
-            return true;
-          } else {
-            return false;
-          }
-        })
-      );
-    }
+  _filterHistory(context, history) {
+    // Entries having more than one of historyTypes are kept only once and
+    // in the order of history
+    const filteredWithHistoryTypes = history.filter((historyEntry) =>
+      context.historyTypes.some((historyType) =>
+        historyEntry.hasOwnProperty(this._makeHistoryTypePlural(historyType))
+      )
+    );
 
     let filteredWithAddedRemovedLabelIds = [];
     filteredWithAddedRemovedLabelIds = filteredWithAddedRemovedLabelIds.concat(
       filteredWithHistoryTypes.filter((historyEntry) => {
         if (
-          this._api.addedLabelIds &&
+          context.addedLabelIds &&
           historyEntry.hasOwnProperty('labelsAdded') &&
           historyEntry.labelsAdded.filter((labelAdded) => {
-            for (const addedLabelId of this._api.addedLabelIds) {
+            for (const addedLabelId of context.addedLabelIds) {
               if (labelAdded.labelIds.includes(addedLabelId)) {
                 return true;
               }
@@ -212,10 +857,10 @@ Gmailpush.prototype = {
         }
 
         if (
-          this._api.removedLabelIds &&
+          context.removedLabelIds &&
           historyEntry.hasOwnProperty('labelsRemoved') &&
           historyEntry.labelsRemoved.filter((labelRemoved) => {
-            for (const removedLabelId of this._api.removedLabelIds) {
+            for (const removedLabelId of context.removedLabelIds) {
               if (labelRemoved.labelIds.includes(removedLabelId)) {
                 return true;
               }
@@ -233,22 +878,30 @@ Gmailpush.prototype = {
   },
 
   /**
-   * Get a message which has a specific id. If gmail responses are
-   * 'Not Found' or 'Requested entity was not found.' errors, return dummy message object with
+   * Get a message which has a specific id. If gmail responds with 404, e.g.
+   * because the message has been deleted, return dummy message object with
    * id, attachments and notFound.
    *
+   * @param {object} context Context having gmail instance
    * @param {string} messageId Id of message to be requested for
    * @returns {object} Message which has messageId as its id
    */
-  _getMessageFromId(messageId) {
-    return this._api.gmail.users.messages
-      .get({
-        id: messageId,
-        userId: this._api.emailAddress,
-      })
+  _getMessageFromId(context, messageId) {
+    return this._request(context, (requestOptions) =>
+      context.gmail.users.messages.get(
+        {
+          id: messageId,
+          userId: context.emailAddress,
+          format: context.format,
+          metadataHeaders: context.metadataHeaders,
+          fields: context.fields,
+        },
+        requestOptions
+      )
+    )
       .then((result) => result.data)
       .catch((err) => {
-        if (err.message === 'Not Found' || err.message === 'Requested entity was not found.') {
+        if (this._getErrorStatus(err) === 404) {
           return {
             // For identifying which message was not found
             id: messageId,
@@ -264,35 +917,232 @@ Gmailpush.prototype = {
   },
 
   /**
-   * Filter message by withLabelIds and withoutLabelIds. If there is
-   * no withLabelIds nor withoutLabelIds, don't filter.
+   * Get messages from their ids, with at most concurrency requests at a
+   * time, or in batch requests sent one at a time if batch option is set
    *
-   * @param {object} message Gmail API message object
-   * @returns {boolean} Whether the message has passes filter or not
+   * @param {object} context Context having gmail instance
+   * @param {string[]} messageIds Ids of messages
+   * @returns {Object[]} Messages in order of messageIds
    */
-  _filterMessage(message) {
-    if (
-      this._api.withLabelIds &&
-      this._api.withoutLabelIds &&
-      this._api.withLabelIds.filter((labelId) =>
-        this._api.withoutLabelIds.includes(labelId)
-      ).length > 0
-    ) {
-      throw new Error(
-        'withLabelIds and withoutLabelIds should not have the same labelId'
+  async _getMessagesFromIds(context, messageIds) {
+    if (!this._api.batch) {
+      return mapWithConcurrency(
+        messageIds,
+        this._api.concurrency,
+        (messageId) => this._getMessageFromId(context, messageId)
       );
     }
 
-    // Because "Not Found" message doesn't have labelIds property,
-    // filter out the message when withLabelIds is set.
-    if (!message.labelIds && this._api.withLabelIds) {
-      return false;
+    const chunks = [];
+
+    for (let i = 0; i < messageIds.length; i += this._api.batch.size) {
+      chunks.push(messageIds.slice(i, i + this._api.batch.size));
+    }
+
+    const results = await mapWithConcurrency(chunks, 1, (chunk) =>
+      this._batchGetMessages(context, chunk)
+    );
+
+    return [].concat(...results);
+  },
+
+  /**
+   * Get messages in a single batch request. Messages of which request has
+   * failed in the batch, e.g. because of rate limit or not being found, are
+   * requested again through _getMessageFromId(), at most concurrency
+   * requests at the same time.
+   *
+   * @param {object} context Context having auth instance
+   * @param {string[]} messageIds Ids of messages, at most batch.size
+   * @returns {Object[]} Messages in order of messageIds
+   */
+  async _batchGetMessages(context, messageIds) {
+    const boundary = `gmailpush_${crypto.randomBytes(12).toString('hex')}`;
+    const response = await this._request(context, (requestOptions) =>
+      context.auth.request(
+        Object.assign(
+          {
+            url: GMAIL_BATCH_URL,
+            method: 'POST',
+            headers: {
+              'Content-Type': `multipart/mixed; boundary=${boundary}`,
+            },
+            data: createMessagesBatchBody(
+              context.emailAddress,
+              messageIds,
+              {
+                format: context.format,
+                metadataHeaders: context.metadataHeaders,
+                fields: context.fields,
+              },
+              boundary
+            ),
+            responseType: 'arraybuffer',
+          },
+          requestOptions
+        )
+      )
+    );
+    const responses = parseBatchResponse(
+      Buffer.from(response.data),
+      response.headers['content-type'],
+      {emailAddress: context.emailAddress, historyId: context.historyId}
+    );
+
+    const messages = messageIds.map((messageId, index) => {
+      const itemResponse = responses[index];
+
+      return itemResponse && itemResponse.status === 200
+        ? itemResponse.data
+        : null;
+    });
+    const failedIndexes = messageIds
+      .map((messageId, index) => index)
+      .filter((index) => messages[index] === null);
+    const retriedMessages = await mapWithConcurrency(
+      failedIndexes,
+      this._api.concurrency,
+      (index) => this._getMessageFromId(context, messageIds[index])
+    );
+
+    failedIndexes.forEach((messageIndex, index) => {
+      messages[messageIndex] = retriedMessages[index];
+    });
+
+    return messages;
+  },
+
+  /**
+   * Send a Gmail API request, retrying it by retry option. If credentials
+   * of the user are rejected, e.g. because the refresh token has been
+   * revoked, AuthError is thrown instead of the original error, if rate
+   * limit is still exceeded after retries, RateLimitError is, and otherwise
+   * GmailApiError is.
+   *
+   * @param {object} context Context having emailAddress
+   * @param {function} send Function taking request options and returning a
+   *     promise of response, called for each try
+   * @returns {Promise} Promise settled with the response
+   */
+  _request(context, send) {
+    // Retries are left to Gmailpush, so googleapis shouldn't retry by itself
+    const response = this._api.retry
+      ? retry(
+          () => send({retry: false}),
+          this._api.retry,
+          (err) => this._isRetryableError(err)
+        )
+      : Promise.resolve().then(() => send({}));
+
+    return response.catch((err) => {
+      if (err instanceof GmailpushError) {
+        throw err;
+      }
+
+      const reason = getAuthErrorReason(err);
+      const props = {
+        emailAddress: context.emailAddress,
+        historyId: context.historyId,
+        cause: err,
+      };
+
+      if (reason) {
+        throw new AuthError(
+          `Gmail API has rejected credentials of ${context.emailAddress}: ${reason}`,
+          Object.assign({reason}, props)
+        );
+      }
+
+      if (this._isRateLimitError(err)) {
+        throw new RateLimitError(
+          `Gmail API rate limit exceeded for ${context.emailAddress}`,
+          Object.assign({status: this._getErrorStatus(err)}, props)
+        );
+      }
+
+      throw new GmailApiError(
+        `Gmail API request for ${context.emailAddress} has failed: ${err.message}`,
+        Object.assign({status: this._getErrorStatus(err)}, props)
+      );
+    });
+  },
+
+  /**
+   * Check if an error from Gmail API request is worth retrying, i.e. 429,
+   * 5xx, 403 because of rate limit, or a network error
+   *
+   * @param {object} err Error thrown by Gmail API request
+   * @returns {boolean} Whether to retry the request or not
+   */
+  _isRetryableError(err) {
+    if (this._isRateLimitError(err) || this._getErrorStatus(err) >= 500) {
+      return true;
+    }
+
+    return RETRYABLE_ERROR_CODES.includes(err.code);
+  },
+
+  /**
+   * Check if an error from Gmail API request is because of rate limit, i.e.
+   * 429 or 403 of rateLimitExceeded or userRateLimitExceeded reason
+   *
+   * @param {object} err Error thrown by Gmail API request
+   * @returns {boolean} Whether rate limit is exceeded or not
+   */
+  _isRateLimitError(err) {
+    const status = this._getErrorStatus(err);
+
+    if (status === 429) {
+      return true;
+    }
+
+    if (status === 403) {
+      const errors =
+        err.errors ||
+        (err.response &&
+          err.response.data &&
+          err.response.data.error &&
+          err.response.data.error.errors) ||
+        [];
+
+      return errors.some((error) => RATE_LIMIT_REASONS.includes(error.reason));
+    }
+
+    return false;
+  },
+
+  /**
+   * Filter message by withLabelIds and withoutLabelIds, and then by filter
+   * option. If there is no withLabelIds, withoutLabelIds nor filter, don't
+   * filter.
+   *
+   * @param {object} context Context having filters
+   * @param {object} message Gmail API message object
+   * @returns {boolean} Whether the message has passes filter or not
+   */
+  _filterMessage(context, message) {
+    if (
+      context.withLabelIds &&
+      context.withoutLabelIds &&
+      context.withLabelIds.filter((labelId) =>
+        context.withoutLabelIds.includes(labelId)
+      ).length > 0
+    ) {
+      throw new OptionsError(
+        'withLabelIds and withoutLabelIds should not have the same labelId'
+      );
+    }
+
+    // Because "Not Found" message doesn't have labelIds property,
+    // filter out the message when withLabelIds is set.
+    if (!message.labelIds && context.withLabelIds) {
+      return false;
     }
 
     if (
       message.labelIds &&
-      this._api.withLabelIds &&
-      this._api.withLabelIds.filter((withLabelId) =>
+      context.withLabelIds &&
+      context.withLabelIds.filter((withLabelId) =>
         message.labelIds.includes(withLabelId)
       ).length === 0
     ) {
@@ -301,14 +1151,18 @@ Gmailpush.prototype = {
 
     if (
       message.labelIds &&
-      this._api.withoutLabelIds &&
-      this._api.withoutLabelIds.filter((withoutLabelId) =>
+      context.withoutLabelIds &&
+      context.withoutLabelIds.filter((withoutLabelId) =>
         message.labelIds.includes(withoutLabelId)
       ).length > 0
     ) {
       return false;
     }
 
+    if (context.filter && !context.filter(message)) {
+      return false;
+    }
+
     return true;
   },
 
@@ -317,41 +1171,183 @@ Gmailpush.prototype = {
    * as properties. If there is nested payload, call _parsePayload()
    * recursively.
    *
+   * Every text/plain and text/html part which is not an attachment is
+   * decoded in charset of its Content-Type and added to bodyParts, and the
+   * first one of each type becomes bodyText or bodyHtml. Every other part is
+   * an attachment, and attached message/rfc822 emails are parsed into message
+   * property of attachment.
+   *
    * @param {object} payload Payload to be parsed
    * @param {object} parsedMessage Message to which extracted data
    *     will be attached
    */
   _parsePayload(payload, parsedMessage) {
     if (payload.mimeType.startsWith('multipart/')) {
-      for (const part of payload.parts) {
+      for (const part of payload.parts || []) {
         this._parsePayload(part, parsedMessage);
       }
-    } else if (payload.mimeType === 'text/html') {
-      parsedMessage.bodyHtml = Buffer.from(
-        payload.body.data,
-        'base64'
-      ).toString();
-    } else if (payload.mimeType === 'text/plain') {
-      parsedMessage.bodyText = Buffer.from(
-        payload.body.data,
-        'base64'
-      ).toString();
-    } else if (
-      payload.mimeType.startsWith('image/') ||
-      payload.mimeType.startsWith('audio/') ||
-      payload.mimeType.startsWith('video/') ||
-      payload.mimeType.startsWith('application/') ||
-      payload.mimeType.startsWith('font/') ||
-      payload.mimeType.startsWith('text/') ||
-      payload.mimeType.startsWith('model/')
+      return;
+    }
+
+    const {contentType, disposition, contentId, filename} = this._getPartInfo(
+      payload
+    );
+    const body = payload.body || {};
+
+    if (
+      (payload.mimeType === 'text/plain' || payload.mimeType === 'text/html') &&
+      disposition.value !== 'attachment' &&
+      !filename &&
+      !body.attachmentId
     ) {
-      parsedMessage.attachments.push({
+      const property =
+        payload.mimeType === 'text/plain' ? 'bodyText' : 'bodyHtml';
+      const content = decodeCharset(
+        decodeBase64(body.data),
+        contentType.params.charset
+      );
+
+      parsedMessage.bodyParts.push({
+        partId: payload.partId,
         mimeType: payload.mimeType,
-        filename: payload.filename,
-        attachmentId: payload.body.attachmentId,
-        size: payload.body.size,
+        charset: contentType.params.charset || 'utf-8',
+        content,
       });
+
+      if (parsedMessage[property] === undefined) {
+        parsedMessage[property] = content;
+      }
+    } else {
+      const attachment = {
+        mimeType: payload.mimeType,
+        filename,
+        attachmentId: body.attachmentId || null,
+        size: body.size,
+        contentId,
+        inline:
+          disposition.value === 'inline' ||
+          (disposition.value === '' && contentId !== null),
+      };
+
+      // Small attachments come with their data instead of attachmentId
+      if (!body.attachmentId) {
+        attachment.data = decodeBase64(body.data);
+      }
+
+      if (payload.mimeType === 'message/rfc822' && payload.parts) {
+        attachment.message = this._parseNestedMessage(payload.parts[0]);
+      }
+
+      parsedMessage.attachments.push(attachment);
+    }
+  },
+
+  /**
+   * Get Content-Type, Content-Disposition, Content-ID and filename of a
+   * message part
+   *
+   * @param {object} payload Message part
+   * @returns {object} Object having contentType and disposition parsed by
+   *     parseParameterizedHeader(), contentId without angle brackets (null if
+   *     there is no Content-ID header) and filename ('' if there is none)
+   */
+  _getPartInfo(payload) {
+    const contentType = parseParameterizedHeader(
+      getHeaderValue(payload.headers, 'Content-Type') || payload.mimeType
+    );
+    const disposition = parseParameterizedHeader(
+      getHeaderValue(payload.headers, 'Content-Disposition')
+    );
+    const contentId = getHeaderValue(payload.headers, 'Content-ID');
+
+    return {
+      contentType,
+      disposition,
+      contentId: contentId ? contentId.trim().replace(/^<|>$/g, '') : null,
+      filename:
+        payload.filename ||
+        disposition.params.filename ||
+        contentType.params.name ||
+        '',
+    };
+  },
+
+  /**
+   * Parse headers of message or nested message, and attach address headers,
+   * subject and date to message as properties
+   *
+   * @param {Object[]} headers Headers of message payload
+   * @param {object} parsedMessage Message to which header values
+   *     will be attached
+   */
+  _parseHeaders(headers, parsedMessage) {
+    const parseAddressHeaders = (name) =>
+      getHeaderValues(headers, name).reduce(
+        (addresses, value) => addresses.concat(parseAddressList(value)),
+        []
+      );
+
+    // From header can have multiple Email addresses, in which case Sender
+    // header tells who actually sent the message
+    const fromList = parseAddressHeaders('From');
+
+    if (fromList.length > 0) {
+      parsedMessage.from = fromList[0];
+      parsedMessage.fromList = fromList;
+    }
+
+    const sender = parseAddressHeaders('Sender');
+
+    if (sender.length > 0) {
+      parsedMessage.sender = sender[0];
+    }
+
+    for (const [property, name] of [
+      ['to', 'To'],
+      ['cc', 'Cc'],
+      ['bcc', 'Bcc'],
+      ['replyTo', 'Reply-To'],
+      ['deliveredTo', 'Delivered-To'],
+    ]) {
+      const addresses = parseAddressHeaders(name);
+
+      if (addresses.length > 0) {
+        parsedMessage[property] = addresses;
+      }
+    }
+
+    const subject = getHeaderValue(headers, 'Subject');
+
+    if (subject !== undefined) {
+      parsedMessage.subject = subject;
     }
+
+    const date = getHeaderValue(headers, 'Date');
+
+    if (date !== undefined) {
+      parsedMessage.date = date;
+    }
+  },
+
+  /**
+   * Parse email attached as message/rfc822 part
+   *
+   * @param {object} part Part enclosed in message/rfc822 part, which has
+   *     headers of attached email
+   * @returns {object} Parsed email having headers, the same properties from
+   *     headers as message, bodyParts, bodyText, bodyHtml and attachments
+   */
+  _parseNestedMessage(part) {
+    const parsedMessage = {
+      headers: part.headers || [],
+      attachments: [],
+      bodyParts: [],
+    };
+
+    this._parseHeaders(parsedMessage.headers, parsedMessage);
+    this._parsePayload(part, parsedMessage);
+
+    return parsedMessage;
   },
 
   /**
@@ -359,309 +1355,1445 @@ Gmailpush.prototype = {
    * searching for from, to, subject headers and attaching the header
    * values to message object.
    *
+   * Changes from every history entry are combined, so historyTypes has every
+   * type of change and addedLabelIds and removedLabelIds have every label id
+   * added and removed in order of history. historyType is the first of
+   * historyTypes.
+   *
    * @param {object} message Gmail API message object to be parsed
-   * @param {object} historyEntry An element of history array which has
-   *     type of change to the historyEntry message object has caused.
+   * @param {Object[]} historyEntries Elements of history array which have
+   *     types of change to the message object.
    * @returns {object} Parsed message
    */
-  _parseMessage(message, historyEntry) {
+  _parseMessage(message, historyEntries) {
     const parsedMessage = Object.assign({}, message);
+    const historyTypes = [];
+    const addedLabelIds = [];
+    const removedLabelIds = [];
 
-    // Assume that historyEntry has only one type of VALID_HISTORY_TYPES
-    parsedMessage.historyType =
-      VALID_HISTORY_TYPES.filter((historyType) =>
-        historyEntry.hasOwnProperty(this._makeHistoryTypePlural(historyType))
-      )[0] || '';
+    for (const historyEntry of historyEntries) {
+      const labelDeltas = this._getLabelDeltas(historyEntry, message.id);
+
+      historyTypes.push(...this._getHistoryTypes(historyEntry, message.id));
+      addedLabelIds.push(...labelDeltas.addedLabelIds);
+      removedLabelIds.push(...labelDeltas.removedLabelIds);
+    }
 
-    // Because deleted messages and notFound messages don't have payload property
-    // thus don't need to be parsed, and attachments property has already been
-    // included as an empty array, return with just historyType added.
-    if (!message.hasOwnProperty('payload')) {
+    parsedMessage.historyTypes = Array.from(new Set(historyTypes));
+    parsedMessage.historyType = parsedMessage.historyTypes[0] || '';
+    parsedMessage.addedLabelIds = Array.from(new Set(addedLabelIds));
+    parsedMessage.removedLabelIds = Array.from(new Set(removedLabelIds));
+
+    parsedMessage.attachments = [];
+
+    // Message fetched in raw format has its RFC 822 source instead of
+    // payload, which is parsed locally into payload of full format
+    if (typeof message.raw === 'string') {
+      parsedMessage.payload = parseRawMessage(message.raw);
+    }
+
+    // Because deleted messages, notFound messages and messages fetched in
+    // minimal format don't have payload property thus don't need to be
+    // parsed, return with just history properties added.
+    if (!parsedMessage.payload) {
       return parsedMessage;
     }
 
-    const from = message.payload.headers.find(
-      (header) => header.name === 'From'
+    this._parseHeaders(parsedMessage.payload.headers, parsedMessage);
+
+    parsedMessage.bodyParts = [];
+
+    // Payload of metadata format has only headers without body and parts
+    if (
+      parsedMessage.payload.mimeType &&
+      (parsedMessage.payload.body || parsedMessage.payload.parts)
+    ) {
+      this._parsePayload(parsedMessage.payload, parsedMessage);
+    }
+
+    return parsedMessage;
+  },
+
+  /**
+   * Get messages without attachment data
+   *
+   * @param {object} options
+   * @param {object} options.notification Gmail push notification message
+   * @param {object} [options.token] Gmail API OAuth2 access token. If
+   *     omitted, token is taken from tokenProvider option.
+   * @param {string[]} [options.historyTypes] Types of
+   *     history message should have caused change to history.
+   * @param {string[]} [options.withLabelIds] Label ids which should be
+   *     included in `labelIds` of messages this method returns.
+   * @param {string[]} [options.withoutLabelIds] Label ids which should not be
+   *     included in `labelIds` of messages this method returns.
+   * @returns {object[]} Array of messages without attachment data || []
+   */
+  async getMessagesWithoutAttachment(options) {
+    const delivery = {context: null};
+    const messages = await this._getMessagesWithoutAttachment(
+      options,
+      delivery
     );
 
-    if (from) {
-      parsedMessage.from = this._parseEmailAddressHeader(from.value);
+    await this._commitHistory(delivery.context);
+
+    return messages;
+  },
+
+  /**
+   * Get messages without attachment data as getMessagesWithoutAttachment()
+   * does, keeping track of the notification in delivery. New prevHistoryId
+   * isn't stored until _commitHistory() is called with delivery.context, so
+   * that history is never lost if getting messages or handling them fails.
+   *
+   * @param {object} options See getMessagesWithoutAttachment()
+   * @param {object} delivery Object of which context is set to the context
+   *     created for the notification, so that the caller can commit it or
+   *     release its dedup keys
+   * @returns {object[]} Array of messages without attachment data || []
+   */
+  async _getMessagesWithoutAttachment(options, delivery) {
+    const props = this._getPropsFromOptions(options, {
+      required: ['notification'],
+      optional: [
+        'token',
+        'historyTypes',
+        'addedLabelIds',
+        'removedLabelIds',
+        'withLabelIds',
+        'withoutLabelIds',
+        'format',
+        'metadataHeaders',
+        'fields',
+        'filter',
+        'includeLabels',
+      ],
+    });
+
+    const context = await this._createContext(props.notification, props.token);
+
+    context.deferCommit = true;
+    context.dedupKeys = [];
+    delivery.context = context;
+
+    this._setContextPropertiesWithProps(context, props);
+
+    await this._resolveLabelIds(context);
+
+    if (!(await this._claimPubsubMessage(context, props.notification))) {
+      return [];
     }
 
-    const to = message.payload.headers.find((header) => header.name === 'To');
+    try {
+      return await this._getMessagesWithContext(context, props.notification);
+    } catch (err) {
+      await this._releaseDedupKeys(context);
 
-    if (to) {
-      parsedMessage.to = [];
-      to.value
-        .split(', ')
-        .forEach((e) =>
-          parsedMessage.to.push(this._parseEmailAddressHeader(e))
-        );
+      throw err;
     }
+  },
+
+  /**
+   * Get messages without attachment data for a context of which filters
+   * have been set
+   *
+   * @param {object} context Context having filters
+   * @param {object} notification Gmail push notification message
+   * @returns {object[]} Array of messages without attachment data || []
+   */
+  async _getMessagesWithContext(context, notification) {
+    let messages = [];
+    // Maps ids of messages to history entries which have caused change to
+    // them, in order of history. A message appearing in more than one entry
+    // is fetched only once and returned as a single message.
+    const historyEntries = new Map();
+
+    const shouldProceed = await this._initialize(context, notification);
+
+    if (shouldProceed) {
+      const history = await this._getHistory(context).then((history) =>
+        this._filterHistory(context, history)
+      );
+
+      for (const historyEntry of history) {
+        for (const message of historyEntry.messages) {
+          if (!historyEntries.has(message.id)) {
+            historyEntries.set(message.id, []);
+          }
+
+          historyEntries.get(message.id).push(historyEntry);
+        }
+      }
 
-    const cc = message.payload.headers.find((header) => header.name === 'Cc');
+      if (historyEntries.size > 0) {
+        const messageIds = Array.from(historyEntries.keys());
+
+        messages = (
+          await this._getMessagesFromIds(context, messageIds)
+        ).map((message, index) =>
+          this._parseMessage(message, historyEntries.get(messageIds[index]))
+        );
 
-    if (cc) {
-      parsedMessage.cc = [];
-      cc.value
-        .split(', ')
-        .forEach((e) =>
-          parsedMessage.cc.push(this._parseEmailAddressHeader(e))
+        // Because history doesn't have labelIds in its messages properties,
+        // filtering by withLabelIds and withoutLabelIds has to be done
+        // with message objects. It was hard to implement filtering in
+        // history.map() routine. So here it is.
+        messages = messages.filter((message) =>
+          this._filterMessage(context, message)
         );
+
+        messages = await this._dedupMessages(context, messages, historyEntries);
+      }
+    }
+
+    if (context.includeLabels) {
+      await this._addLabelNames(context, messages);
     }
 
-    const bcc = message.payload.headers.find((header) => header.name === 'Bcc');
+    for (const message of messages) {
+      // Resynced messages may overlap with messages returned earlier
+      if (context.resynced) {
+        message.resynced = true;
+      }
 
-    if (bcc) {
-      parsedMessage.bcc = [];
-      bcc.value
-        .split(', ')
-        .forEach((e) =>
-          parsedMessage.bcc.push(this._parseEmailAddressHeader(e))
-        );
+      this._messageContexts.set(message, context);
+    }
+
+    for (const message of messages) {
+      for (const historyEntry of historyEntries.get(message.id)) {
+        this._emitHistoryEvents(context, message, historyEntry);
+      }
+    }
+
+    return messages;
+  },
+
+  /**
+   * Claim Pub/Sub message of a notification so that its redeliveries are
+   * ignored, if dedup option is set. The claimed key is added to
+   * context.dedupKeys.
+   *
+   * @param {object} context Context having dedupKeys
+   * @param {object} notification Gmail push notification message
+   * @returns {boolean} Whether to proceed, i.e. false if the Pub/Sub message
+   *     is a duplicate
+   */
+  async _claimPubsubMessage(context, notification) {
+    const dedup = this._api.dedup;
+    const pubsubMessageId =
+      notification.message.message_id || notification.message.messageId;
+
+    if (!dedup || !dedup.pubsubMessageIds || !pubsubMessageId) {
+      return true;
+    }
+
+    const key = `pubsub:${notification.subscription}:${pubsubMessageId}`;
+
+    if (!(await dedup.cache.add(key, dedup.ttl))) {
+      return false;
+    }
+
+    context.dedupKeys.push(key);
+
+    return true;
+  },
+
+  /**
+   * Forget dedup keys claimed for a notification which has failed to be
+   * handled, so that its redelivery returns the same messages again. A
+   * failure to delete a key is emitted as a process warning instead of
+   * hiding the error of the notification.
+   *
+   * @param {object} context Context having dedupKeys || null
+   */
+  async _releaseDedupKeys(context) {
+    if (!context || !context.dedupKeys || context.dedupKeys.length === 0) {
+      return;
+    }
+
+    const keys = context.dedupKeys;
+
+    context.dedupKeys = [];
+
+    await Promise.all(
+      keys.map((key) =>
+        Promise.resolve()
+          .then(() => this._api.dedup.cache.delete(key))
+          .catch((err) => {
+            process.emitWarning(err);
+          })
+      )
+    );
+  },
+
+  /**
+   * Filter out messages which have already been returned for the same
+   * change, if dedup option is set. A change is identified by message id
+   * and historyId of the message, or id of the last history entry for
+   * messages not found. Claimed keys are added to context.dedupKeys.
+   *
+   * @param {object} context Context having emailAddress and dedupKeys
+   * @param {object[]} messages Parsed messages
+   * @param {object} historyEntries Map of message ids to history entries
+   * @returns {object[]} Messages not returned before
+   */
+  async _dedupMessages(context, messages, historyEntries) {
+    const dedup = this._api.dedup;
+
+    if (!dedup) {
+      return messages;
+    }
+
+    const isNew = await Promise.all(
+      messages.map(async (message) => {
+        const entries = historyEntries.get(message.id);
+        const historyId = message.historyId || entries[entries.length - 1].id;
+        const key = `message:${context.emailAddress}:${message.id}:${historyId}`;
+
+        if (!(await dedup.cache.add(key, dedup.ttl))) {
+          return false;
+        }
+
+        context.dedupKeys.push(key);
+
+        return true;
+      })
+    );
+
+    return messages.filter((message, index) => isNew[index]);
+  },
+
+  /**
+   * Emit an event for each type of change the history entry has made to the
+   * message among context.historyTypes, i.e. messageAdded, messageDeleted,
+   * labelAdded and labelRemoved.
+   * Listeners are called with {emailAddress, historyId, message,
+   * addedLabelIds, removedLabelIds}.
+   *
+   * @param {object} context Context having emailAddress
+   * @param {object} message Parsed message
+   * @param {object} historyEntry History entry which has caused change to
+   *     the message
+   */
+  _emitHistoryEvents(context, message, historyEntry) {
+    const labelDeltas = this._getLabelDeltas(historyEntry, message.id);
+
+    const historyTypes = this._getHistoryTypes(
+      historyEntry,
+      message.id
+    ).filter((historyType) => context.historyTypes.includes(historyType));
+
+    for (const historyType of historyTypes) {
+      this.emit(historyType, {
+        emailAddress: context.emailAddress,
+        historyId: historyEntry.id,
+        message,
+        addedLabelIds: labelDeltas.addedLabelIds,
+        removedLabelIds: labelDeltas.removedLabelIds,
+      });
+    }
+  },
+
+  /**
+   * Get types of change a history entry has made to a message
+   *
+   * @param {object} historyEntry Gmail API history entry
+   * @param {string} messageId Id of the message
+   * @returns {string[]} Elements of VALID_HISTORY_TYPES
+   */
+  _getHistoryTypes(historyEntry, messageId) {
+    return VALID_HISTORY_TYPES.filter((historyType) =>
+      (historyEntry[this._makeHistoryTypePlural(historyType)] || []).some(
+        (change) => change.message.id === messageId
+      )
+    );
+  },
+
+  /**
+   * Get label ids a history entry has added to and removed from a message
+   *
+   * @param {object} historyEntry Gmail API history entry
+   * @param {string} messageId Id of the message
+   * @returns {object} Object having addedLabelIds and removedLabelIds
+   */
+  _getLabelDeltas(historyEntry, messageId) {
+    const getLabelIds = (changes) =>
+      (changes || [])
+        .filter((change) => change.message.id === messageId)
+        .reduce((labelIds, change) => labelIds.concat(change.labelIds), []);
+
+    return {
+      addedLabelIds: getLabelIds(historyEntry.labelsAdded),
+      removedLabelIds: getLabelIds(historyEntry.labelsRemoved),
+    };
+  },
+
+  /**
+   * Iterate history entries since prevHistoryId without loading every page of
+   * history at once. Unlike getMessagesWithoutAttachment(), prevHistoryId is
+   * replaced with historyId of the notification before the first entry is
+   * yielded, so entries left unconsumed won't be yielded again.
+   *
+   * @param {object} options
+   * @param {object} options.notification Gmail push notification message
+   * @param {object} [options.token] Gmail API OAuth2 access token. If
+   *     omitted, token is taken from tokenProvider option.
+   * @param {string[]} [options.historyTypes] Types of
+   *     history entries should have.
+   * @param {string[]} [options.addedLabelIds] Label ids which labelAdded
+   *     history entries should have added.
+   * @param {string[]} [options.removedLabelIds] Label ids which labelRemoved
+   *     history entries should have removed.
+   * @yields {object} Gmail API history entry
+   */
+  async *iterateHistory(options) {
+    const props = this._getPropsFromOptions(options, {
+      required: ['notification'],
+      optional: ['token', 'historyTypes', 'addedLabelIds', 'removedLabelIds'],
+    });
+
+    const context = await this._createContext(props.notification, props.token);
+
+    this._setContextPropertiesWithProps(context, props);
+
+    await this._resolveLabelIds(context);
+
+    if (!(await this._initialize(context, props.notification))) {
+      return;
+    }
+
+    for await (const page of this._iterateHistoryPagesOrResync(context)) {
+      yield* this._filterHistory(context, page);
+    }
+  },
+
+  /**
+   * Get attachment data. Message should be the one returned from Gmailpush
+   * methods because the gmail instance used to get the message is used again.
+   * Data of attachments which came with the message is returned without
+   * requesting Gmail API.
+   *
+   * @param {object} message Message which has attachments
+   * @param {object} attachment An element of message.attachments
+   * @returns {object} Buffer instance of attachment data
+   */
+  async getAttachment(message, attachment) {
+    if (!attachment.attachmentId && Buffer.isBuffer(attachment.data)) {
+      return attachment.data;
+    }
+
+    const context = this._messageContexts.get(message);
+
+    if (!context) {
+      throw new OptionsError(
+        'getAttachment() requires a message returned from getMessagesWithoutAttachment()'
+      );
+    }
+
+    const {data} = (
+      await this._request(context, (requestOptions) =>
+        context.gmail.users.messages.attachments.get(
+          {
+            id: attachment.attachmentId,
+            messageId: message.id,
+            userId: context.emailAddress,
+          },
+          requestOptions
+        )
+      )
+    ).data;
+
+    if (typeof data !== 'string') {
+      throw new ResponseFormatError('Attachment response has no data', {
+        emailAddress: context.emailAddress,
+        historyId: context.historyId,
+      });
+    }
+
+    return decodeBase64(data);
+  },
+
+  /**
+   * Get attachment data as a readable stream, which is decoded as it is
+   * downloaded so that a large attachment is never held in memory at once.
+   * Message should be the one returned from Gmailpush methods as in
+   * getAttachment().
+   *
+   * @param {object} message Message which has attachments
+   * @param {object} attachment An element of message.attachments
+   * @returns {object} Readable stream of attachment data
+   */
+  getAttachmentStream(message, attachment) {
+    if (Buffer.isBuffer(attachment.data)) {
+      const stream = new PassThrough();
+
+      stream.end(attachment.data);
+
+      return stream;
+    }
+
+    const context = this._messageContexts.get(message);
+
+    if (!context) {
+      throw new OptionsError(
+        'getAttachmentStream() requires a message returned from getMessagesWithoutAttachment()'
+      );
+    }
+
+    const decoder = createAttachmentDecoder({
+      emailAddress: context.emailAddress,
+      historyId: context.historyId,
+    });
+
+    this._request(context, (requestOptions) =>
+      context.gmail.users.messages.attachments.get(
+        {
+          id: attachment.attachmentId,
+          messageId: message.id,
+          userId: context.emailAddress,
+          fields: 'data',
+        },
+        Object.assign({responseType: 'stream'}, requestOptions)
+      )
+    )
+      .then((response) => {
+        response.data.on('error', (err) => decoder.destroy(err));
+        decoder.on('close', () => response.data.destroy());
+        response.data.pipe(decoder);
+      })
+      .catch((err) => decoder.destroy(err));
+
+    return decoder;
+  },
+
+  /**
+   * Save attachments of a message as files in a directory. Filenames are
+   * made safe so that they can't point outside the directory, and numbered
+   * instead of overwriting existing files.
+   *
+   * @param {object} message Message returned from Gmailpush methods
+   * @param {string} dir Existing directory to save attachments in
+   * @param {object} [options]
+   * @param {number} [options.maxSize] Maximum size in bytes of each
+   *     attachment. Default is Infinity
+   * @param {number} [options.maxTotalSize] Maximum total size in bytes of
+   *     saved attachments. Default is Infinity
+   * @param {string[]} [options.mimeTypes] MIME types of attachments to be
+   *     saved, e.g. ['application/pdf', 'image/*']. Default is every type
+   * @param {string[]} [options.excludeMimeTypes] MIME types of attachments
+   *     not to be saved. Default is []
+   * @param {number} [options.concurrency] Maximum number of attachments
+   *     downloaded at the same time. Default is 2
+   * @returns {Object[]} Results in order of message.attachments having
+   *     attachment, filePath and size, or filePath of null and skipped, the
+   *     reason of skipping which is one of 'mimeType', 'maxSize' and
+   *     'maxTotalSize'
+   */
+  async saveAttachments(message, dir, options = {}) {
+    if (!dir) {
+      throw new OptionsError('saveAttachments() requires an argument: dir');
+    }
+
+    const maxSize = options.maxSize === undefined ? Infinity : options.maxSize;
+    const maxTotalSize =
+      options.maxTotalSize === undefined ? Infinity : options.maxTotalSize;
+    const excludeMimeTypes = options.excludeMimeTypes || [];
+    let reservedSize = 0;
+
+    const results = await mapWithConcurrency(
+      message.attachments,
+      options.concurrency || DEFAULT_ATTACHMENT_CONCURRENCY,
+      async (attachment, index) => {
+        const size = attachment.size || 0;
+        const skip = (reason) => ({
+          attachment,
+          filePath: null,
+          skipped: reason,
+        });
+
+        if (
+          (options.mimeTypes &&
+            !matchesMimeType(attachment.mimeType, options.mimeTypes)) ||
+          matchesMimeType(attachment.mimeType, excludeMimeTypes)
+        ) {
+          return skip('mimeType');
+        }
+
+        if (size > maxSize) {
+          return skip('maxSize');
+        }
+
+        if (reservedSize + size > maxTotalSize) {
+          return skip('maxTotalSize');
+        }
+
+        // Reserved before downloading so that attachments downloaded at the
+        // same time can't exceed maxTotalSize together
+        const availableSize = maxTotalSize - reservedSize;
+
+        reservedSize += size;
+
+        try {
+          const saved = await writeStreamToFile(
+            this.getAttachmentStream(message, attachment),
+            dir,
+            toSafeFilename(attachment, index),
+            Math.min(maxSize, availableSize)
+          );
+
+          reservedSize += saved.size - size;
+
+          return Object.assign({attachment}, saved);
+        } catch (err) {
+          reservedSize -= size;
+
+          if (err instanceof AttachmentSizeError) {
+            // Declared size can be smaller than actual data
+            return skip(maxSize <= availableSize ? 'maxSize' : 'maxTotalSize');
+          }
+
+          throw err;
+        }
+      }
+    );
+
+    return results;
+  },
+
+  /**
+   * Get messages with attachment data
+   *
+   * @param {object} options
+   * @param {object} options.notification Gmail push notification message
+   * @param {object} [options.token] Gmail API OAuth2 access token. If
+   *     omitted, token is taken from tokenProvider option.
+   * @param {string[]} [options.historyTypes] Types of
+   *     history message should have caused change to history.
+   * @param {string[]} [options.withLabelIds] Label ids which should be
+   *     included in `labelIds` of messages this method returns.
+   * @param {string[]} [options.withoutLabelIds] Label ids which should not be
+   *     included in `labelIds` of messages this method returns.
+   * @param {string[]} [options.attachmentMimeTypes] MIME types of
+   *     attachments of which data should be fetched, e.g. ['image/*']
+   * @param {RegExp|string} [options.attachmentFilenamePattern] Pattern
+   *     filename of attachments of which data should be fetched should match
+   * @param {number} [options.maxAttachmentSize] Maximum size in bytes of
+   *     attachments of which data should be fetched
+   * @param {boolean} [options.skipInline] Whether not to fetch data of
+   *     inline attachments, e.g. images in HTML body
+   * @returns {object[]} Array of messages with attachment data || []
+   */
+  async getMessages(options) {
+    const delivery = {context: null};
+    const messages = await this._getMessages(options, delivery);
+
+    await this._commitHistory(delivery.context);
+
+    return messages;
+  },
+
+  /**
+   * Get messages with attachment data as getMessages() does, keeping track
+   * of the notification in delivery
+   *
+   * @param {object} options See getMessages()
+   * @param {object} delivery See _getMessagesWithoutAttachment()
+   * @returns {object[]} Array of messages with attachment data || []
+   */
+  async _getMessages(options, delivery) {
+    const [messagesOptions, selection] = this._splitAttachmentSelection(
+      options
+    );
+    const messages = await this._getMessagesWithoutAttachment(
+      messagesOptions,
+      delivery
+    );
+
+    try {
+      await this._fetchAttachments(messages, selection);
+    } catch (err) {
+      await this._releaseDedupKeys(delivery.context);
+
+      throw err;
+    }
+
+    return messages;
+  },
+
+  /**
+   * Get a newly received message with attachment data
+   *
+   * @param {object} options
+   * @param {object} options.notification Gmail push notification message
+   * @param {object} [options.token] Gmail API OAuth2 access token. If
+   *     omitted, token is taken from tokenProvider option.
+   * @param {string[]} [options.attachmentMimeTypes] See getMessages()
+   * @param {RegExp|string} [options.attachmentFilenamePattern] See
+   *     getMessages()
+   * @param {number} [options.maxAttachmentSize] See getMessages()
+   * @param {boolean} [options.skipInline] See getMessages()
+   * @returns {object} A message with attachment data || null
+   */
+  async getNewMessage(options) {
+    const [messagesOptions, selection] = this._splitAttachmentSelection(
+      options
+    );
+    const props = this._getPropsFromOptions(messagesOptions, {
+      required: ['notification'],
+      optional: ['token'],
+    });
+
+    props.historyTypes = ['messageAdded'];
+    props.withLabelIds = ['INBOX'];
+    props.withoutLabelIds = ['SENT'];
+
+    const delivery = {context: null};
+    // Assume resulting messages to be either one-element or empty array,
+    // although the assumption is not verified.
+    const message =
+      (await this._getMessagesWithoutAttachment(props, delivery))[0] || null;
+
+    if (message) {
+      try {
+        await this._fetchAttachments([message], selection);
+      } catch (err) {
+        await this._releaseDedupKeys(delivery.context);
+
+        throw err;
+      }
+    }
+
+    await this._commitHistory(delivery.context);
+
+    return message;
+  },
+
+  /**
+   * Separate attachment selection options from other options of
+   * getMessages() and validate them
+   *
+   * @param {object} options Options of getMessages()
+   * @returns {Array} Options without attachment selection options, and
+   *     attachment selection having mimeTypes, filenamePattern, maxSize and
+   *     skipInline
+   */
+  _splitAttachmentSelection(options) {
+    if (options !== Object(options) || Array.isArray(options)) {
+      return [options, {}];
+    }
+
+    const messagesOptions = Object.assign({}, options);
+
+    for (const name of ATTACHMENT_SELECTION_OPTIONS) {
+      delete messagesOptions[name];
+    }
+
+    const {attachmentMimeTypes, attachmentFilenamePattern} = options;
+
+    if (
+      attachmentMimeTypes !== undefined &&
+      !Array.isArray(attachmentMimeTypes)
+    ) {
+      throw new OptionsError('attachmentMimeTypes option must be an array');
+    }
+
+    let filenamePattern = attachmentFilenamePattern;
+
+    if (typeof filenamePattern === 'string') {
+      try {
+        filenamePattern = new RegExp(filenamePattern);
+      } catch (err) {
+        throw new OptionsError(
+          `attachmentFilenamePattern option is not a valid regular expression: ${filenamePattern}`,
+          {cause: err}
+        );
+      }
+    } else if (
+      filenamePattern !== undefined &&
+      !(filenamePattern instanceof RegExp)
+    ) {
+      throw new OptionsError(
+        'attachmentFilenamePattern option must be a RegExp or a string'
+      );
+    }
+
+    return [
+      messagesOptions,
+      {
+        mimeTypes: attachmentMimeTypes,
+        filenamePattern,
+        maxSize: options.maxAttachmentSize,
+        skipInline: Boolean(options.skipInline),
+      },
+    ];
+  },
+
+  /**
+   * Get the reason an attachment is not selected for its data to be fetched
+   *
+   * @param {object} attachment An element of message.attachments
+   * @param {object} selection Attachment selection from
+   *     _splitAttachmentSelection()
+   * @returns {string} One of 'inline', 'mimeType', 'filename' and 'maxSize'
+   *     || null if the attachment is selected
+   */
+  _getAttachmentSkipReason(attachment, selection) {
+    if (selection.skipInline && attachment.inline) {
+      return 'inline';
+    }
+
+    if (
+      selection.mimeTypes &&
+      !matchesMimeType(attachment.mimeType, selection.mimeTypes)
+    ) {
+      return 'mimeType';
+    }
+
+    if (selection.filenamePattern) {
+      // test() of a global or sticky RegExp starts from lastIndex left by
+      // the previous attachment
+      selection.filenamePattern.lastIndex = 0;
+    }
+
+    if (
+      selection.filenamePattern &&
+      !selection.filenamePattern.test(attachment.filename)
+    ) {
+      return 'filename';
+    }
+
+    if (
+      selection.maxSize !== undefined &&
+      (attachment.size || 0) > selection.maxSize
+    ) {
+      return 'maxSize';
+    }
+
+    return null;
+  },
+
+  /**
+   * Fetch data of selected attachments of messages, with at most concurrency
+   * requests at a time. Attachments not selected get skipped property having
+   * the reason instead of data.
+   *
+   * @param {Object[]} messages Messages returned from
+   *     getMessagesWithoutAttachment()
+   * @param {object} selection Attachment selection from
+   *     _splitAttachmentSelection()
+   */
+  async _fetchAttachments(messages, selection) {
+    const targets = [];
+
+    for (const message of messages) {
+      for (const attachment of message.attachments) {
+        const reason = this._getAttachmentSkipReason(attachment, selection);
+
+        if (reason) {
+          attachment.skipped = reason;
+        } else {
+          targets.push({message, attachment});
+        }
+      }
+    }
+
+    await mapWithConcurrency(
+      targets,
+      this._api.concurrency,
+      async ({message, attachment}) => {
+        attachment.data = await this.getAttachment(message, attachment);
+      }
+    );
+  },
+
+  /**
+   * Create request handler for Pub/Sub push endpoint which can be used as
+   * Express/Connect middleware or as plain Node.js http request listener
+   *
+   * @param {object} options
+   * @param {function} [options.getToken] Function returning (a promise of)
+   *     Gmail API OAuth2 access token, called with emailAddress and
+   *     notification. Required unless tokenProvider option is set.
+   * @param {function} options.onMessages Function called with messages and
+   *     {emailAddress, notification}
+   * @param {function} options.onError Function called with error and
+   *     {emailAddress, notification}
+   * @param {object} [options.getMessagesOptions] Options passed to
+   *     getMessages() other than notification and token
+   * @returns {function} Request handler
+   */
+  middleware(options) {
+    return createMiddleware(this, options);
+  },
+
+  /**
+   * Create consumer of Pub/Sub pull subscription which polls the subscription
+   * and acknowledges each push notification after its messages have been
+   * handled
+   *
+   * @param {object} options
+   * @param {object} options.subscriber Pub/Sub client having pull(),
+   *     acknowledge() and modifyAckDeadline() methods like
+   *     v1.SubscriberClient of @google-cloud/pubsub
+   * @param {string} options.subscription Full subscription name, e.g.
+   *     projects/PROJECT_NAME/subscriptions/SUBSCRIPTION_NAME
+   * @param {function} [options.getToken] Same as that of middleware()
+   * @param {function} options.onMessages Same as that of middleware()
+   * @param {function} options.onError Same as that of middleware()
+   * @param {object} [options.getMessagesOptions] Same as that of middleware()
+   * @param {number} [options.concurrency] Maximum number of notifications
+   *     handled at the same time
+   * @param {number} [options.pollInterval] Milliseconds to wait after a pull
+   *     returned no notification
+   * @param {number} [options.retryDelay] Seconds to wait before a failed
+   *     notification is redelivered
+   * @returns {object} PullConsumer instance which is not started yet
+   */
+  createPullConsumer(options) {
+    return new PullConsumer(this, options);
+  },
+
+  /**
+   * Create manager which renews watch of every user in the history store
+   * before it expires, so that quiet mailboxes keep receiving push
+   * notifications
+   *
+   * @param {object} [options]
+   * @param {function} [options.getToken] Function returning (a promise of)
+   *     Gmail API OAuth2 access token, called with emailAddress. Required
+   *     unless tokenProvider or serviceAccount option is set.
+   * @param {function} [options.onError] Function called with error and
+   *     {emailAddress} when renewing watch has failed
+   * @param {number} [options.renewBefore] Milliseconds before expiration
+   *     watch is renewed. Defaults to watch.renewBefore option.
+   * @param {number} [options.checkInterval] Milliseconds between checks of
+   *     watch expirations
+   * @param {number} [options.concurrency] Maximum number of watch renewals
+   *     at the same time
+   * @returns {object} WatchManager instance which is not started yet
+   */
+  createWatchManager(options) {
+    return new WatchManager(this, options);
+  },
+
+  /**
+   * Validate options of middleware() and createPullConsumer()
+   *
+   * @param {object} options Options to be validated
+   * @param {string[]} [optional] Optional options other than
+   *     getMessagesOptions
+   * @returns {object} Same options as options argument with
+   *     getMessagesOptions defaulting to {}
+   */
+  _getHandlerPropsFromOptions(options, optional = []) {
+    // getToken can be omitted in favor of tokenProvider or serviceAccount
+    // option
+    const required =
+      this._api.tokenProvider || this._api.serviceAccount
+        ? ['onMessages', 'onError']
+        : ['getToken', 'onMessages', 'onError'];
+    const props = this._getPropsFromOptions(options, {
+      required,
+      optional: ['getMessagesOptions', 'getToken'].concat(optional),
+    });
+
+    for (const name of ['getToken', 'onMessages', 'onError']) {
+      if (props[name] !== undefined && typeof props[name] !== 'function') {
+        throw new OptionsError(`${name} option should be a function`);
+      }
+    }
+
+    return Object.assign({}, props, {
+      getMessagesOptions: props.getMessagesOptions || {},
+    });
+  },
+
+  /**
+   * Call onError option of middleware(), createPullConsumer() or
+   * createWatchManager(). An error thrown or rejected by onError itself is
+   * emitted as a process warning because there is nowhere else to report it,
+   * and it mustn't stop handling other notifications.
+   *
+   * @param {function} onError Function called with err and info
+   * @param {object} err Error to be reported
+   * @param {object} info Object having emailAddress and so on
+   * @returns {Promise} Promise resolved after onError has settled, never
+   *     rejected
+   */
+  _callOnError(onError, err, info) {
+    return Promise.resolve()
+      .then(() => onError(err, info))
+      .catch((onErrorErr) => {
+        process.emitWarning(onErrorErr);
+      });
+  },
+
+  /**
+   * Get messages for a validated notification with token from getToken(),
+   * or tokenProvider option if getToken is omitted, and pass them to
+   * onMessages(). New prevHistoryId is stored only after onMessages() has
+   * resolved, so that history of a notification failed to be handled is got
+   * again by its redelivery or by the next notification.
+   *
+   * @param {object} notification Gmail push notification message
+   * @param {object} props Props returned from _getHandlerPropsFromOptions()
+   */
+  _handleNotification(notification, props) {
+    const emailAddress = this.getEmailAddress(notification);
+
+    // Notifications of a user are handled one at a time, otherwise
+    // overlapping notifications would get the same range of history while
+    // prevHistoryId is not stored yet
+    return this._handlerMutex.run(emailAddress, async () => {
+      const delivery = {context: null};
+
+      try {
+        const token = props.getToken
+          ? await props.getToken(emailAddress, notification)
+          : undefined;
+        const messages = await this._getMessages(
+          Object.assign({}, props.getMessagesOptions, {notification, token}),
+          delivery
+        );
+
+        await props.onMessages(messages, {emailAddress, notification});
+      } catch (err) {
+        // Let the redelivery of the notification return the same messages
+        await this._releaseDedupKeys(delivery.context);
+
+        throw err;
+      }
+
+      await this._commitHistory(delivery.context);
+    });
+  },
+
+  /**
+   * Validate options with rules
+   *
+   * @param {object} options Options to be validated
+   * @param {object} rules Rules specifying required options and optional options
+   * @returns {object} Same options as options argument
+   *
+   * Reference
+   * @see {@link https://github.com/stripe/stripe-node/blob/67ec167d58db070f48fe68dd0dc265a7994c13d2/lib/stripe.js#L305}
+   */
+  _getPropsFromOptions(options, rules) {
+    if (!options) {
+      throw new OptionsError(`Options must have ${rules.required.join(', ')}`);
+    }
+
+    const isObject = options === Object(options) && !Array.isArray(options);
+
+    if (!isObject) {
+      throw new OptionsError('Options must be an object');
+    }
+
+    const unexpectedOptionValues = Object.keys(options).filter(
+      (value) => !rules.required.concat(rules.optional || []).includes(value)
+    );
+
+    if (unexpectedOptionValues.length > 0) {
+      throw new OptionsError(
+        `Options may only contain the following: ${rules.required
+          .concat(rules.optional || [])
+          .join(', ')}`
+      );
+    }
+
+    const omittedRequiredOptionValues = rules.required.filter(
+      (value) => !Object.keys(options).includes(value)
+    );
+
+    if (omittedRequiredOptionValues.length > 0) {
+      throw new OptionsError(
+        `Options must have the following: ${omittedRequiredOptionValues.join(
+          ', '
+        )}`
+      );
+    }
+
+    return options;
+  },
+
+  /**
+   * Validate batch option and fill in defaults
+   *
+   * @param {object} props Props that are options validated from _getPropsFromOptions()
+   * @returns {object} Batch settings having size || null if batch is disabled
+   */
+  _getBatchFromProps(props) {
+    if (!props.batch) {
+      return null;
+    }
+
+    const batch = this._getPropsFromOptions(
+      props.batch === true ? {} : props.batch,
+      {required: [], optional: ['size']}
+    );
+    const size = batch.size || DEFAULT_BATCH_SIZE;
+
+    if (size > MAX_BATCH_SIZE) {
+      throw new OptionsError(`batch.size must not exceed ${MAX_BATCH_SIZE}`);
+    }
+
+    return {size};
+  },
+
+  /**
+   * Validate retry option and fill in defaults
+   *
+   * @param {object} props Props that are options validated from _getPropsFromOptions()
+   * @returns {object} Retry policy having retries, minDelay and maxDelay
+   *     || null if retry is disabled
+   */
+  _getRetryFromProps(props) {
+    if (props.retry === false) {
+      return null;
     }
 
-    const subject = message.payload.headers.find(
-      (header) => header.name === 'Subject'
-    );
+    const policy = this._getPropsFromOptions(props.retry || {}, {
+      required: [],
+      optional: ['retries', 'minDelay', 'maxDelay'],
+    });
+
+    return {
+      retries: policy.retries === undefined ? DEFAULT_RETRIES : policy.retries,
+      minDelay:
+        policy.minDelay === undefined
+          ? DEFAULT_RETRY_MIN_DELAY
+          : policy.minDelay,
+      maxDelay:
+        policy.maxDelay === undefined
+          ? DEFAULT_RETRY_MAX_DELAY
+          : policy.maxDelay,
+    };
+  },
 
-    if (subject) {
-      parsedMessage.subject = subject.value;
+  /**
+   * Validate serviceAccount option and fill in defaults
+   *
+   * @param {object} props Props that are options validated from _getPropsFromOptions()
+   * @returns {object} Service account settings having credentials, keyFile,
+   *     scopes and subject || null if serviceAccount is not set
+   */
+  _getServiceAccountFromProps(props) {
+    if (!props.serviceAccount) {
+      return null;
     }
 
-    const date = message.payload.headers.find(
-      (header) => header.name === 'Date'
-    );
+    const serviceAccount = this._getPropsFromOptions(props.serviceAccount, {
+      required: [],
+      optional: ['credentials', 'keyFile', 'scopes', 'subject'],
+    });
+    const credentials = serviceAccount.credentials || {};
 
-    if (date) {
-      parsedMessage.date = date.value;
+    if (
+      !serviceAccount.keyFile &&
+      (!credentials.client_email || !credentials.private_key)
+    ) {
+      throw new OptionsError(
+        'serviceAccount option must have keyFile or credentials having client_email and private_key'
+      );
     }
 
-    parsedMessage.attachments = [];
-
-    this._parsePayload(message.payload, parsedMessage);
+    if (
+      serviceAccount.subject !== undefined &&
+      typeof serviceAccount.subject !== 'function'
+    ) {
+      throw new OptionsError('serviceAccount.subject should be a function');
+    }
 
-    return parsedMessage;
+    return {
+      credentials,
+      keyFile: serviceAccount.keyFile,
+      scopes: serviceAccount.scopes || DEFAULT_SERVICE_ACCOUNT_SCOPES,
+      subject: serviceAccount.subject || ((emailAddress) => emailAddress),
+    };
   },
 
   /**
-   * Get messages without attachment data
+   * Validate resync option and fill in defaults
    *
-   * @param {object} options
-   * @param {object} options.notification Gmail push notification message
-   * @param {object} options.token Gmail API OAuth2 access token
-   * @param {string[]} [options.historyTypes] Types of
-   *     history message should have caused change to history.
-   * @param {string[]} [options.withLabelIds] Label ids which should be
-   *     included in `labelIds` of messages this method returns.
-   * @param {string[]} [options.withoutLabelIds] Label ids which should not be
-   *     included in `labelIds` of messages this method returns.
-   * @returns {object[]} Array of messages without attachment data || []
+   * @param {object} props Props that are options validated from _getPropsFromOptions()
+   * @returns {object} Resync settings having query, window and maxResults
+   *     || null if resync is disabled
    */
-  async getMessagesWithoutAttachment(options) {
-    const props = this._getPropsFromOptions(options, {
-      required: ['notification', 'token'],
-      optional: [
-        'historyTypes',
-        'addedLabelIds',
-        'removedLabelIds',
-        'withLabelIds',
-        'withoutLabelIds',
-      ],
+  _getResyncFromProps(props) {
+    if (props.resync === false) {
+      return null;
+    }
+
+    const resync = this._getPropsFromOptions(props.resync || {}, {
+      required: [],
+      optional: ['query', 'window', 'maxResults'],
     });
 
-    this._setApiPropertiesWithProps(props);
+    return {
+      query: resync.query || '',
+      window: resync.window || DEFAULT_RESYNC_WINDOW,
+      maxResults: resync.maxResults || DEFAULT_RESYNC_MAX_RESULTS,
+    };
+  },
 
-    let messages = [];
+  /**
+   * Validate dedup option and fill in defaults
+   *
+   * @param {object} props Props that are options validated from _getPropsFromOptions()
+   * @returns {object} Dedup settings having cache, ttl and pubsubMessageIds
+   *     || null if dedup is disabled
+   */
+  _getDedupFromProps(props) {
+    if (!props.dedup) {
+      return null;
+    }
 
-    const shouldProceed = await this._initialize(
-      props.notification,
-      props.token
+    const dedup = this._getPropsFromOptions(
+      props.dedup === true ? {} : props.dedup,
+      {
+        required: [],
+        optional: ['cache', 'ttl', 'pubsubMessageIds'],
+      }
     );
 
-    if (shouldProceed) {
-      const history = await this._getHistory().then((history) =>
-        this._filterHistory(history)
+    if (dedup.cache && !isDedupCache(dedup.cache)) {
+      throw new OptionsError(
+        'dedup.cache option must have the following methods: add, delete'
       );
-
-      if (history && history.length > 0) {
-        messages = (
-          await Promise.all(
-            history.map((historyEntry) =>
-              Promise.all(
-                historyEntry.messages.map((message) =>
-                  this._getMessageFromId(message.id).then((message) =>
-                    this._parseMessage(message, historyEntry)
-                  )
-                )
-              )
-            )
-          )
-        ).reduce((messages, message) => messages.concat(message), []);
-
-        // Because history doesn't have labelIds in its messages properties,
-        // filtering by withLabelIds and withoutLabelIds has to be done
-        // with message objects. It was hard to implement filtering in
-        // history.map() routine. So here it is.
-        messages = messages.filter((message) => this._filterMessage(message));
-      }
     }
 
-    return messages;
+    return {
+      cache: dedup.cache || new MemoryDedupCache(),
+      ttl: dedup.ttl || DEFAULT_DEDUP_TTL,
+      pubsubMessageIds: dedup.pubsubMessageIds !== false,
+    };
   },
 
   /**
-   * Get attachment data
+   * Call gmail.users.watch() for renewing Pub/Sub push notification watch expiration
    *
-   * @param {object} message Message which has attachments
-   * @param {object} attachment An element of message.attachments
-   * @returns {object} Buffer instance of attachment data
+   * @param {object} context Context having gmail instance
+   * @param {object} [watchRequest] labelIds and labelFilterAction of watch
+   *     request
+   * @returns {object} Object having historyId and new watch expiration
    */
-  async getAttachment(message, attachment) {
-    const {data} = (
-      await this._api.gmail.users.messages.attachments.get({
-        id: attachment.attachmentId,
-        messageId: message.id,
-        userId: this._api.emailAddress,
-      })
-    ).data;
-
-    return Buffer.from(data, 'base64');
+  _refreshWatch(context, watchRequest) {
+    return this._request(context, (requestOptions) =>
+      context.gmail.users.watch(
+        {
+          userId: context.emailAddress,
+          requestBody: Object.assign(
+            {topicName: this._api.pubsubTopic},
+            watchRequest
+          ),
+        },
+        requestOptions
+      )
+    ).then((result) => ({
+      historyId: Number(result.data.historyId),
+      expiration: Number(result.data.expiration),
+    }));
   },
 
   /**
-   * Get messages with attachment data
+   * Check if watch of a user should be renewed on a push notification, i.e.
+   * the user has no history yet or watchExpiration is within
+   * watch.renewBefore. Watch stopped by stopWatch() is never renewed.
    *
-   * @param {object} options
-   * @param {object} options.notification Gmail push notification message
-   * @param {object} options.token Gmail API OAuth2 access token
-   * @param {string[]} [options.historyTypes] Types of
-   *     history message should have caused change to history.
-   * @param {string[]} [options.withLabelIds] Label ids which should be
-   *     included in `labelIds` of messages this method returns.
-   * @param {string[]} [options.withoutLabelIds] Label ids which should not be
-   *     included in `labelIds` of messages this method returns.
-   * @returns {object[]} Array of messages with attachment data || []
+   * @param {object} history History entry of the user || null
+   * @returns {boolean} Whether to call watch() or not
    */
-  async getMessages(options) {
-    const messages = await this.getMessagesWithoutAttachment(options);
+  _shouldRefreshWatch(history) {
+    if (!history) {
+      return true;
+    }
 
-    await Promise.all(
-      messages.map((message) =>
-        Promise.all(
-          message.attachments.map(async (attachment) => {
-            attachment.data = await this.getAttachment(message, attachment);
-          })
-        )
-      )
+    if (history.watchExpiration === null) {
+      return false;
+    }
+
+    const watchExpiration = Number(history.watchExpiration);
+
+    return (
+      !watchExpiration ||
+      watchExpiration - Date.now() <= this._api.watch.renewBefore
     );
+  },
 
-    return messages;
+  /**
+   * Validate watch option and fill in defaults
+   *
+   * @param {object} props Props that are options validated from _getPropsFromOptions()
+   * @returns {object} Watch settings having renewBefore and request, i.e.
+   *     labelIds and labelFilterAction of watch request
+   */
+  _getWatchFromProps(props) {
+    const watch = Object.assign(
+      {},
+      this._getPropsFromOptions(props.watch || {}, {
+        required: [],
+        optional: ['renewBefore', 'labelIds', 'labelFilterAction'],
+      })
+    );
+    const renewBefore =
+      watch.renewBefore === undefined
+        ? DEFAULT_WATCH_RENEW_BEFORE
+        : watch.renewBefore;
+
+    if (typeof renewBefore !== 'number' || !(renewBefore >= 0)) {
+      throw new OptionsError('watch.renewBefore must be a non-negative number');
+    }
+
+    delete watch.renewBefore;
+
+    return {
+      renewBefore,
+      request: this._getWatchRequestFromOptions(watch),
+    };
   },
 
   /**
-   * Get a newly received message with attachment data
+   * Validate options of startWatch()
    *
-   * @param {object} options
-   * @param {object} options.notification Gmail push notification message
-   * @param {object} options.token Gmail API OAuth2 access token
-   * @returns {object} A message with attachment data || null
+   * @param {object} options Options having labelIds and labelFilterAction
+   * @returns {object} labelIds and labelFilterAction of watch request, only
+   *     those which are set
    */
-  async getNewMessage(options) {
+  _getWatchRequestFromOptions(options) {
     const props = this._getPropsFromOptions(options, {
-      required: ['notification', 'token'],
+      required: [],
+      optional: ['labelIds', 'labelFilterAction'],
     });
+    const watchRequest = {};
+
+    if (props.labelIds !== undefined) {
+      if (
+        !Array.isArray(props.labelIds) ||
+        props.labelIds.some((labelId) => typeof labelId !== 'string')
+      ) {
+        throw new OptionsError('labelIds option must be an array of label ids');
+      }
 
-    props.historyTypes = ['messageAdded'];
-    props.withLabelIds = ['INBOX'];
-    props.withoutLabelIds = ['SENT'];
+      watchRequest.labelIds = props.labelIds;
+    }
 
-    // Assume resulting messages to be either one-element or empty array,
-    // although the assumption is not verified.
-    const message = (await this.getMessagesWithoutAttachment(props))[0] || null;
+    if (props.labelFilterAction !== undefined) {
+      if (!VALID_LABEL_FILTER_ACTIONS.includes(props.labelFilterAction)) {
+        throw new OptionsError(
+          `labelFilterAction option must be one of the following: ${VALID_LABEL_FILTER_ACTIONS.join(
+            ', '
+          )}`
+        );
+      }
 
-    if (message) {
-      await Promise.all(
-        message.attachments.map(async (attachment) => {
-          attachment.data = await this.getAttachment(message, attachment);
-        })
-      );
+      if (!watchRequest.labelIds) {
+        throw new OptionsError(
+          'labelFilterAction option requires labelIds option'
+        );
+      }
+
+      watchRequest.labelFilterAction = props.labelFilterAction;
     }
 
-    return message;
+    return watchRequest;
   },
 
   /**
-   * Validate options with rules
-   *
-   * @param {object} options Options to be validated
-   * @param {object} rules Rules specifying required options and optional options
-   * @returns {object} Same options as options argument
+   * Start or renew watch of a user's mailbox without waiting for a push
+   * notification. labelIds and labelFilterAction are stored with the user's
+   * history so that renewals, including those on push notifications, send
+   * the same watch request. Without options, those of watch option are used.
+   * If the user has no history yet, prevHistoryId starts from historyId of
+   * the watch response.
    *
-   * Reference
-   * @see {@link https://github.com/stripe/stripe-node/blob/67ec167d58db070f48fe68dd0dc265a7994c13d2/lib/stripe.js#L305}
+   * @param {string} emailAddress Email address of the user
+   * @param {object} [token] Gmail API OAuth2 access token. If omitted, token
+   *     is taken from tokenProvider option.
+   * @param {object} [options] Defaults to labelIds and labelFilterAction of
+   *     watch option
+   * @param {string[]} [options.labelIds] Label ids of which changes are
+   *     notified, or not notified if labelFilterAction is 'exclude'
+   * @param {string} [options.labelFilterAction] 'include' or 'exclude'
+   * @returns {object} Object having historyId and watchExpiration
    */
-  _getPropsFromOptions(options, rules) {
-    if (!options) {
-      throw new Error(`Options must have ${rules.required.join(', ')}`);
+  async startWatch(emailAddress, token, options) {
+    if (emailAddress === undefined) {
+      throw new OptionsError('startWatch() requires an argument: emailAddress');
     }
 
-    const isObject = options === Object(options) && !Array.isArray(options);
+    const watchRequest =
+      options === undefined ? null : this._getWatchRequestFromOptions(options);
+    const context = await this._createUserContext(emailAddress, token);
 
-    if (!isObject) {
-      throw new Error('Options must be an object');
-    }
+    return this._historyMutex.run(emailAddress, async () => {
+      const {historyId, expiration} = await this._refreshWatch(
+        context,
+        watchRequest || this._api.watch.request
+      );
 
-    const unexpectedOptionValues = Object.keys(options).filter(
-      (value) => !rules.required.concat(rules.optional || []).includes(value)
-    );
+      await this._updateHistory(emailAddress, (storedHistory) => {
+        const history = storedHistory || {
+          emailAddress,
+          prevHistoryId: historyId,
+        };
 
-    if (unexpectedOptionValues.length > 0) {
-      throw new Error(
-        `Options may only contain the following: ${rules.required
-          .concat(rules.optional || [])
-          .join(', ')}`
-      );
-    }
+        history.watchExpiration = expiration;
 
-    const omittedRequiredOptionValues = rules.required.filter(
-      (value) => !Object.keys(options).includes(value)
-    );
+        // Users without their own watch request follow watch option even if
+        // it changes later
+        if (watchRequest) {
+          history.watchRequest = watchRequest;
+        } else {
+          delete history.watchRequest;
+        }
 
-    if (omittedRequiredOptionValues.length > 0) {
-      throw new Error(
-        `Options must have the following: ${omittedRequiredOptionValues.join(
-          ', '
-        )}`
-      );
-    }
+        return history;
+      });
 
-    return options;
+      return {historyId, watchExpiration: expiration};
+    });
   },
 
   /**
-   * Call gmail.users.watch() for renewing Pub/Sub push notification watch expiration
+   * Stop push notifications for a user's mailbox by calling
+   * gmail.users.stop(). watchExpiration of the user's history is set to null
+   * so that neither push notifications arriving afterwards nor WatchManager
+   * renew the watch until startWatch() is called again.
    *
-   * returns {number} New watchExpiration
+   * @param {string} emailAddress Email address of the user
+   * @param {object} [token] Same as that of startWatch()
    */
-  _refreshWatch() {
-    return this._api.gmail.users
-      .watch({
-        userId: this._api.emailAddress,
-        requestBody: {
-          topicName: this._api.pubsubTopic,
-        },
+  async stopWatch(emailAddress, token) {
+    if (emailAddress === undefined) {
+      throw new OptionsError('stopWatch() requires an argument: emailAddress');
+    }
+
+    const context = await this._createUserContext(emailAddress, token);
+
+    await this._request(context, (requestOptions) =>
+      context.gmail.users.stop({userId: emailAddress}, requestOptions)
+    );
+
+    await this._historyMutex.run(emailAddress, () =>
+      this._updateHistory(emailAddress, (history) => {
+        if (history) {
+          history.watchExpiration = null;
+        }
+
+        return history;
       })
-      .then((result) => Number(result.data.expiration));
+    );
   },
 
   /**
-   * Set properties to this._api. This could not be combined with _getPropsFromOptions()
+   * Set properties to context. This could not be combined with _getPropsFromOptions()
    * because _getPropsFromOptions() has some code used by Gmailpush constructor function.
    *
+   * @param {object} context Context created by _createContext()
    * @param {object} props Props that are options validated from _getPropsFromOptions()
    */
-  _setApiPropertiesWithProps(props) {
+  _setContextPropertiesWithProps(context, props) {
     // Set historyTypes
     if (
       props.historyTypes &&
@@ -669,43 +2801,78 @@ Gmailpush.prototype = {
         (historyType) => !VALID_HISTORY_TYPES.includes(historyType)
       ).length > 0
     ) {
-      throw new Error(
+      throw new OptionsError(
         `historyTypes option may only contain the following: ${VALID_HISTORY_TYPES.join(
           ', '
         )}`
       );
     }
 
-    this._api.historyTypes = props.historyTypes || VALID_HISTORY_TYPES;
+    context.historyTypes = props.historyTypes || VALID_HISTORY_TYPES;
 
     // Set addedLabelIds
     if (props.addedLabelIds) {
       if (!props.historyTypes.includes('labelAdded')) {
-        throw new Error(
+        throw new OptionsError(
           'addedLabelIds option should be used with labelAdded historyType'
         );
       }
-      this._api.addedLabelIds = props.addedLabelIds;
+      context.addedLabelIds = props.addedLabelIds;
     }
 
     // Set removedLabelIds
     if (props.removedLabelIds) {
       if (!props.historyTypes.includes('labelRemoved')) {
-        throw new Error(
+        throw new OptionsError(
           'removedLabelIds option should be used with labelRemoved historyType'
         );
       }
-      this._api.removedLabelIds = props.removedLabelIds;
+      context.removedLabelIds = props.removedLabelIds;
     }
 
     // Set withLabelIds
     if (props.withLabelIds) {
-      this._api.withLabelIds = props.withLabelIds;
+      context.withLabelIds = props.withLabelIds;
     }
 
     // Set withoutLabelIds
     if (props.withoutLabelIds) {
-      this._api.withoutLabelIds = props.withoutLabelIds;
+      context.withoutLabelIds = props.withoutLabelIds;
+    }
+
+    // Set format
+    if (props.format && !VALID_MESSAGE_FORMATS.includes(props.format)) {
+      throw new OptionsError(
+        `format option must be one of the following: ${VALID_MESSAGE_FORMATS.join(
+          ', '
+        )}`
+      );
+    }
+
+    context.format = props.format || 'full';
+
+    // Set metadataHeaders
+    if (props.metadataHeaders) {
+      if (context.format !== 'metadata') {
+        throw new OptionsError(
+          'metadataHeaders option should be used with metadata format'
+        );
+      }
+      context.metadataHeaders = props.metadataHeaders;
+    }
+
+    context.includeLabels = Boolean(props.includeLabels);
+
+    // Set filter
+    if (props.filter !== undefined) {
+      context.filter = compileFilter(props.filter);
+    }
+
+    // Set fields. Messages are identified by id, so it is always requested.
+    if (props.fields) {
+      context.fields = /(?:^|,)\s*id\s*(?:,|$)/.test(props.fields)
+        ? props.fields
+        : `id,${props.fields}`;
     }
   },
 
@@ -724,53 +2891,188 @@ Gmailpush.prototype = {
    * Get labels
    *
    * @param {object} notification Gmail push notification message
-   * @param {object} token Gmail API OAuth2 access token
+   * @param {object} [token] Gmail API OAuth2 access token. If omitted, token
+   *     is taken from tokenProvider option.
    * @returns {object[]} Array of label objects
    */
-  getLabels(notification, token) {
-    if (notification === undefined || token === undefined) {
-      throw new Error(
-        'getLabels() requires two arguments: notification and token'
-      );
+  async getLabels(notification, token) {
+    if (notification === undefined) {
+      throw new OptionsError('getLabels() requires an argument: notification');
     }
 
-    this._api.auth.setCredentials(token);
-    this._api.gmail = google.gmail({
-      version: GMAIL_API_VERSION,
-      auth: this._api.auth,
+    const context = await this._createContext(notification, token);
+
+    return this._listLabels(context);
+  },
+
+  /**
+   * Call gmail.users.labels.list() and cache the labels of the mailbox for
+   * resolving label names
+   *
+   * @param {object} context Context having gmail instance
+   * @returns {object[]} Array of label objects
+   */
+  async _listLabels(context) {
+    const labels =
+      (
+        await this._request(context, (requestOptions) =>
+          context.gmail.users.labels.list(
+            {
+              userId: context.emailAddress,
+            },
+            requestOptions
+          )
+        )
+      ).data.labels || [];
+
+    this._labelCache.set(context.emailAddress, {
+      labels,
+      expiration: Date.now() + LABEL_CACHE_TTL,
     });
 
-    return this._api.gmail.users.labels
-      .list({
-        userId: this._parseNotificationPayload(notification).emailAddress,
-      })
-      .then((result) => result.data.labels);
+    return labels;
+  },
+
+  /**
+   * Get labels of the mailbox from cache, listing them if they are not cached
+   * or the cache has expired
+   *
+   * @param {object} context Context having gmail instance
+   * @returns {object[]} Array of label objects
+   */
+  _getCachedLabels(context) {
+    const cached = this._labelCache.get(context.emailAddress);
+
+    if (cached && cached.expiration > Date.now()) {
+      return Promise.resolve(cached.labels);
+    }
+
+    return this._listLabels(context);
   },
 
   /**
-   * Parse Email address header in the original Gmail API message using RegExp to
-   * get name part and address part. If parsing failed, return the unparsed header.
+   * Replace label names in addedLabelIds, removedLabelIds, withLabelIds and
+   * withoutLabelIds of context with label ids. Labels are listed only if
+   * there is a value which is neither a system label id nor a user label id,
+   * and listed again once if a name is not in the cached labels, e.g.
+   * because the label has just been created.
    *
-   * @param {string} emailAddressHeader For example 'user1 <user1@gmail.com>'
-   * @returns {object} Parsed Email object which has name and address properties
+   * @param {object} context Context having label filters
    */
-  _parseEmailAddressHeader(emailAddressHeader) {
-    const parsedHeader = emailAddressHeader.match(
-      /(?:(.*)\s)?(?:<?(.+@[^>]+)>?)/
+  async _resolveLabelIds(context) {
+    const values = LABEL_ID_PROPERTIES.reduce(
+      (all, property) => all.concat(context[property] || []),
+      []
     );
 
-    if (parsedHeader) {
-      return {
-        name: parsedHeader[1] || parsedHeader[2],
-        address: parsedHeader[2],
-      };
-    } else {
-      return {
-        name: emailAddressHeader,
-        address: emailAddressHeader,
-      };
+    if (values.every((value) => this._isLabelId(value))) {
+      return;
+    }
+
+    let labels = await this._getCachedLabels(context);
+
+    if (values.some((value) => !this._findLabel(labels, value))) {
+      labels = await this._listLabels(context);
+    }
+
+    for (const property of LABEL_ID_PROPERTIES) {
+      if (context[property]) {
+        context[property] = context[property].map((value) => {
+          const label = this._findLabel(labels, value);
+
+          if (!label) {
+            throw new OptionsError(`Label not found: ${value}`, {
+              emailAddress: context.emailAddress,
+              historyId: context.historyId,
+            });
+          }
+
+          return label.id;
+        });
+      }
+    }
+  },
+
+  /**
+   * Check if a value is a label id rather than a label name
+   *
+   * @param {string} value Label id or label name
+   * @returns {boolean} Whether value is a system label id, e.g. INBOX, or a
+   *     user label id, e.g. Label_123
+   */
+  _isLabelId(value) {
+    return SYSTEM_LABEL_IDS.includes(value) || /^Label_\d+$/.test(value);
+  },
+
+  /**
+   * Find a label by id, by name, or by name case-insensitively as Gmail
+   * doesn't allow label names differing only in case. Nested labels have
+   * names like Parent/Child.
+   *
+   * @param {object[]} labels Array of label objects
+   * @param {string} value Label id or label name
+   * @returns {object} Label object || undefined if not found
+   */
+  _findLabel(labels, value) {
+    return (
+      labels.find((label) => label.id === value || label.name === value) ||
+      labels.find(
+        (label) => label.name.toLowerCase() === String(value).toLowerCase()
+      )
+    );
+  },
+
+  /**
+   * Add labels property having label names in the order of labelIds to
+   * messages
+   *
+   * @param {object} context Context having gmail instance
+   * @param {Object[]} messages Parsed messages
+   */
+  async _addLabelNames(context, messages) {
+    const labelIds = messages.reduce(
+      (all, message) => all.concat(message.labelIds || []),
+      []
+    );
+
+    if (labelIds.length === 0) {
+      return;
+    }
+
+    let labels = await this._getCachedLabels(context);
+
+    if (
+      labelIds.some((labelId) => !labels.find((label) => label.id === labelId))
+    ) {
+      labels = await this._listLabels(context);
+    }
+
+    const names = new Map(labels.map((label) => [label.id, label.name]));
+
+    for (const message of messages) {
+      if (message.labelIds) {
+        message.labels = message.labelIds.map(
+          (labelId) => names.get(labelId) || labelId
+        );
+      }
     }
   },
 };
 
+Object.setPrototypeOf(Gmailpush.prototype, EventEmitter.prototype);
+
+Gmailpush.FileHistoryStore = FileHistoryStore;
+Gmailpush.MemoryHistoryStore = MemoryHistoryStore;
+Gmailpush.MemoryDedupCache = MemoryDedupCache;
+Gmailpush.GmailpushError = GmailpushError;
+Gmailpush.OptionsError = OptionsError;
+Gmailpush.NotificationFormatError = NotificationFormatError;
+Gmailpush.HistoryExpiredError = HistoryExpiredError;
+Gmailpush.VerificationError = VerificationError;
+Gmailpush.ResponseFormatError = ResponseFormatError;
+Gmailpush.AttachmentSizeError = AttachmentSizeError;
+Gmailpush.AuthError = AuthError;
+Gmailpush.RateLimitError = RateLimitError;
+Gmailpush.GmailApiError = GmailApiError;
+
 module.exports = Gmailpush;
@@ -0,0 +1,146 @@
+'use strict';
+
+const {NotificationFormatError} = require('./errors');
+
+// Pub/Sub push requests are small JSON envelopes, so anything larger than
+// this is not a push notification
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Read request body of a plain Node.js http request
+ *
+ * @param {object} req http.IncomingMessage
+ * @returns {Promise<string>} Request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+
+      if (size > MAX_BODY_SIZE) {
+        reject(new NotificationFormatError('Request body is too large'));
+        req.destroy();
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Get push notification from request. If request body has already been
+ * parsed, e.g. by express.json(), it is used as is. Otherwise body is read
+ * from the request stream and JSON-parsed.
+ *
+ * @param {object} req Express/Connect request or http.IncomingMessage
+ * @returns {Promise<object>} Push notification
+ */
+async function getNotification(req) {
+  let body = req.body;
+
+  if (body === undefined) {
+    body = await readBody(req);
+  }
+
+  if (Buffer.isBuffer(body)) {
+    body = body.toString();
+  }
+
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (err) {
+      throw new NotificationFormatError('Request body is not JSON');
+    }
+  }
+
+  return body;
+}
+
+/**
+ * Send response with status code and no body
+ *
+ * @param {object} res Express/Connect response or http.ServerResponse
+ * @param {number} statusCode HTTP status code
+ */
+function sendStatus(res, statusCode) {
+  res.statusCode = statusCode;
+  res.end();
+}
+
+/**
+ * Create request handler for Pub/Sub push endpoint. The handler verifies
+ * Authorization header if verification option of gmailpush is set, and
+ * acknowledges a push notification with 204 right away and then gets messages in
+ * the background, because Pub/Sub redelivers notifications that are not
+ * acknowledged within the acknowledgement deadline. Invalid notifications
+ * are acknowledged as well, like createPullConsumer() does, because
+ * redelivering them would never succeed.
+ *
+ * @param {object} gmailpush Gmailpush instance
+ * @param {object} options
+ * @param {function} [options.getToken] Function returning (a promise of)
+ *     Gmail API OAuth2 access token, called with emailAddress and
+ *     notification. Required unless tokenProvider option is set.
+ * @param {function} options.onMessages Function called with messages and
+ *     {emailAddress, notification}
+ * @param {function} options.onError Function called with error and
+ *     {emailAddress, notification}
+ * @param {object} [options.getMessagesOptions] Options passed to
+ *     getMessages() other than notification and token
+ * @returns {function} Request handler having (req, res) signature
+ */
+function createMiddleware(gmailpush, options) {
+  const props = gmailpush._getHandlerPropsFromOptions(options);
+  const onError = props.onError;
+
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendStatus(res, 405);
+      return;
+    }
+
+    try {
+      await gmailpush.verifyAuthorization(req.headers.authorization);
+    } catch (err) {
+      sendStatus(res, 401);
+      await gmailpush._callOnError(onError, err, {
+        emailAddress: null,
+        notification: null,
+      });
+      return;
+    }
+
+    let notification;
+    let emailAddress;
+
+    try {
+      notification = await getNotification(req);
+      emailAddress = gmailpush._validateNotification(notification).emailAddress;
+    } catch (err) {
+      sendStatus(res, 204);
+      await gmailpush._callOnError(onError, err, {
+        emailAddress: null,
+        notification: notification || null,
+      });
+      return;
+    }
+
+    sendStatus(res, 204);
+
+    try {
+      await gmailpush._handleNotification(notification, props);
+    } catch (err) {
+      await gmailpush._callOnError(onError, err, {emailAddress, notification});
+    }
+  };
+}
+
+module.exports = createMiddleware;
@@ -0,0 +1,155 @@
+'use strict';
+
+const {decodeCharset, decodeEncodedWords} = require('./charset');
+
+/**
+ * Get values of every header having a name, case-insensitively
+ *
+ * @param {Object[]} headers Gmail API message part headers having name and
+ *     value
+ * @param {string} name Header name, e.g. Content-Type
+ * @returns {string[]} Header values
+ */
+function getHeaderValues(headers, name) {
+  const lowerCaseName = name.toLowerCase();
+
+  return (headers || [])
+    .filter((header) => header.name.toLowerCase() === lowerCaseName)
+    .map((header) => header.value);
+}
+
+/**
+ * Get value of the first header having a name, case-insensitively
+ *
+ * @param {Object[]} headers Gmail API message part headers
+ * @param {string} name Header name
+ * @returns {string} Header value || undefined
+ */
+function getHeaderValue(headers, name) {
+  return getHeaderValues(headers, name)[0];
+}
+
+/**
+ * Decode base64 or base64url data. Gmail API encodes message parts and
+ * attachments in base64url, i.e. '-' and '_' instead of '+' and '/' without
+ * padding, while Pub/Sub encodes notification data in standard base64.
+ *
+ * @param {string} data Data encoded in either alphabet
+ * @returns {object} Buffer instance of decoded bytes
+ */
+function decodeBase64(data) {
+  const base64 = (data || '')
+    .replace(/\s+/g, '')
+    .replace(/-/g, '+')
+    .replace(/_/g, '/')
+    .replace(/[=]+$/, '');
+
+  return Buffer.from(
+    base64 + '='.repeat((4 - (base64.length % 4)) % 4),
+    'base64'
+  );
+}
+
+/**
+ * Join RFC 2231 parameter value segments in order and decode them, e.g.
+ * filename*0*=UTF-8''%E2%82 and filename*1*=%AC.pdf, or a single extended
+ * value like filename*=UTF-8''%E2%82%AC.pdf. Extended segments are
+ * percent-decoded, and the bytes of every segment are decoded in the
+ * charset named in the first one.
+ *
+ * @param {Object[]} segments Segments having index, extended and value
+ * @returns {string} Decoded value
+ */
+function decodeParameterSegments(segments) {
+  const sorted = segments.slice().sort((a, b) => a.index - b.index);
+
+  if (!sorted.some((segment) => segment.extended)) {
+    return decodeEncodedWords(sorted.map((segment) => segment.value).join(''));
+  }
+
+  let charset = '';
+  const text = sorted
+    .map((segment, index) => {
+      if (!segment.extended) {
+        return Buffer.from(segment.value, 'utf8').toString('latin1');
+      }
+
+      const match =
+        index === 0 ? /^([^']*)'[^']*'(.*)$/.exec(segment.value) : null;
+
+      if (match) {
+        charset = match[1];
+      }
+
+      return (match ? match[2] : segment.value).replace(
+        /%([0-9A-Fa-f]{2})/g,
+        (hex, code) => String.fromCharCode(parseInt(code, 16))
+      );
+    })
+    .join('');
+
+  return decodeCharset(Buffer.from(text, 'latin1'), charset);
+}
+
+/**
+ * Parse structured header value having parameters, such as Content-Type or
+ * Content-Disposition. Parameter names are lowercased, quoted parameter
+ * values are unquoted, and encoded words and RFC 2231 extended values are
+ * decoded. RFC 2231 continuations, e.g. filename*0 and filename*1, are
+ * joined into a single parameter, which takes precedence over the one of
+ * the same name without asterisk.
+ *
+ * @param {string} value Header value, e.g. 'text/plain; charset="UTF-8"'
+ * @returns {object} Object having lowercased value and params
+ */
+function parseParameterizedHeader(value) {
+  const header = value || '';
+  const params = {};
+  // Maps parameter names to their RFC 2231 segments
+  const segments = {};
+  const paramPattern = /;\s*([^=\s;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match = paramPattern.exec(header);
+
+  while (match) {
+    const name = match[1].toLowerCase();
+    const paramValue =
+      match[2] === undefined
+        ? match[3].trim()
+        : match[2].replace(/\\(.)/g, '$1');
+
+    // name*, name*0 or name*0*, of which trailing asterisk means the
+    // segment is extended, i.e. percent-encoded
+    const section = /^([^*]+)\*(\d+)?(\*)?$/.exec(name);
+
+    if (section) {
+      segments[section[1]] = (segments[section[1]] || []).concat({
+        index: Number(section[2] || 0),
+        extended: section[2] === undefined || section[3] === '*',
+        value: paramValue,
+      });
+    } else {
+      params[name] = decodeEncodedWords(paramValue);
+    }
+
+    match = paramPattern.exec(header);
+  }
+
+  for (const name of Object.keys(segments)) {
+    params[name] = decodeParameterSegments(segments[name]);
+  }
+
+  return {
+    value: header
+      .split(';')[0]
+      .trim()
+      .toLowerCase(),
+    params,
+  };
+}
+
+module.exports = {
+  decodeBase64,
+  getHeaderValue,
+  getHeaderValues,
+  parseParameterizedHeader,
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Mutex serializing asynchronous tasks per key. Tasks with the same key run
+ * one after another in the order they were queued, while tasks with different
+ * keys run concurrently.
+ */
+function KeyedMutex() {
+  if (!(this instanceof KeyedMutex)) {
+    return new KeyedMutex();
+  }
+
+  this._tails = new Map();
+}
+
+KeyedMutex.prototype = {
+  /**
+   * Run a task after every task previously queued with the same key has
+   * settled
+   *
+   * @param {string} key Key which the task is serialized by
+   * @param {function} task Function returning a promise
+   * @returns {Promise} Promise settled with the result of task
+   */
+  run(key, task) {
+    const prevTail = this._tails.get(key) || Promise.resolve();
+    const result = prevTail.then(() => task());
+    // Failure of a task shouldn't block tasks queued after it
+    const tail = result.catch(() => {});
+
+    this._tails.set(key, tail);
+
+    tail.then(() => {
+      if (this._tails.get(key) === tail) {
+        this._tails.delete(key);
+      }
+    });
+
+    return result;
+  },
+};
+
+module.exports = KeyedMutex;
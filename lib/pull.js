@@ -0,0 +1,267 @@
+'use strict';
+
+const {OptionsError} = require('./errors');
+
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_POLL_INTERVAL = 1000;
+const DEFAULT_RETRY_DELAY = 0;
+
+/**
+ * Consumer of Pub/Sub pull subscription. Notifications are pulled through
+ * an injected subscriber client, so Gmailpush doesn't depend on
+ * @google-cloud/pubsub and the consumer can be tested with a fake subscriber.
+ *
+ * Each pulled notification goes through the same flow as middleware(), i.e.
+ * getToken(), getMessages() and onMessages(). It is acknowledged only after
+ * onMessages() has resolved, and nacked otherwise so that Pub/Sub redelivers
+ * it after retryDelay. prevHistoryId isn't stored for a nacked notification,
+ * so its redelivery gets the same history again.
+ *
+ * @param {object} gmailpush Gmailpush instance
+ * @param {object} options See createPullConsumer() of Gmailpush
+ */
+function PullConsumer(gmailpush, options) {
+  if (!(this instanceof PullConsumer)) {
+    return new PullConsumer(gmailpush, options);
+  }
+
+  const props = gmailpush._getHandlerPropsFromOptions(options, [
+    'subscriber',
+    'subscription',
+    'concurrency',
+    'pollInterval',
+    'retryDelay',
+  ]);
+
+  if (
+    !props.subscriber ||
+    ['pull', 'acknowledge', 'modifyAckDeadline'].some(
+      (method) => typeof props.subscriber[method] !== 'function'
+    )
+  ) {
+    throw new OptionsError(
+      'subscriber option must have the following methods: pull, acknowledge, modifyAckDeadline'
+    );
+  }
+
+  if (!props.subscription) {
+    throw new OptionsError('createPullConsumer() requires subscription option');
+  }
+
+  this._gmailpush = gmailpush;
+  this._props = props;
+  this._concurrency = props.concurrency || DEFAULT_CONCURRENCY;
+  this._pollInterval =
+    props.pollInterval === undefined
+      ? DEFAULT_POLL_INTERVAL
+      : props.pollInterval;
+  this._retryDelay =
+    props.retryDelay === undefined ? DEFAULT_RETRY_DELAY : props.retryDelay;
+
+  this._running = false;
+  this._timer = null;
+  this._polling = null;
+  this._inFlight = new Set();
+}
+
+PullConsumer.prototype = {
+  /**
+   * Start polling the subscription
+   *
+   * @returns {object} This PullConsumer instance
+   */
+  start() {
+    if (!this._running) {
+      this._running = true;
+      this._schedule(0);
+    }
+
+    return this;
+  },
+
+  /**
+   * Stop polling the subscription and wait for notifications being handled
+   */
+  async stop() {
+    this._running = false;
+
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    await this._polling;
+    await Promise.all(Array.from(this._inFlight));
+  },
+
+  /**
+   * Schedule next poll. Polls are chained through timers instead of a loop
+   * so that a long-running consumer doesn't build up a promise chain.
+   *
+   * @param {number} delay Milliseconds to wait before polling
+   */
+  _schedule(delay) {
+    if (!this._running) {
+      return;
+    }
+
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._polling = this._poll()
+        .catch((err) => {
+          this._reportError(err, {emailAddress: null, notification: null});
+          return this._pollInterval;
+        })
+        .then((nextDelay) => {
+          this._polling = null;
+          this._schedule(nextDelay);
+        });
+    }, delay);
+  },
+
+  /**
+   * Pull as many notifications as there are free slots and start handling
+   * them without waiting for them to finish
+   *
+   * @returns {number} Milliseconds to wait before next poll
+   */
+  async _poll() {
+    const slots = this._concurrency - this._inFlight.size;
+
+    if (slots <= 0) {
+      await Promise.race(Array.from(this._inFlight));
+      return 0;
+    }
+
+    let receivedMessages;
+
+    try {
+      const result = await this._props.subscriber.pull({
+        subscription: this._props.subscription,
+        maxMessages: slots,
+      });
+      // gax clients resolve to [response, ...]
+      const response = Array.isArray(result) ? result[0] : result;
+
+      receivedMessages = (response && response.receivedMessages) || [];
+    } catch (err) {
+      await this._reportError(err, {emailAddress: null, notification: null});
+      return this._pollInterval;
+    }
+
+    for (const receivedMessage of receivedMessages) {
+      const cleanup = () => {
+        this._inFlight.delete(task);
+      };
+      const task = this._handle(receivedMessage).then(cleanup, cleanup);
+
+      this._inFlight.add(task);
+    }
+
+    return receivedMessages.length > 0 ? 0 : this._pollInterval;
+  },
+
+  /**
+   * Handle a pulled notification and acknowledge or nack it
+   *
+   * @param {object} receivedMessage Element of receivedMessages in pull
+   *     response having ackId and message
+   */
+  async _handle(receivedMessage) {
+    const notification = this._toNotification(receivedMessage);
+    const info = {emailAddress: null, notification};
+
+    try {
+      info.emailAddress = this._gmailpush._validateNotification(
+        notification
+      ).emailAddress;
+    } catch (err) {
+      await this._reportError(err, info);
+      // Invalid notification never succeeds, so don't have it redelivered
+      await this._acknowledge(receivedMessage, info);
+      return;
+    }
+
+    try {
+      await this._gmailpush._handleNotification(notification, this._props);
+    } catch (err) {
+      await this._reportError(err, info);
+      await this._nack(receivedMessage, info);
+      return;
+    }
+
+    await this._acknowledge(receivedMessage, info);
+  },
+
+  /**
+   * Convert pulled message into the same form as push notification
+   *
+   * @param {object} receivedMessage Element of receivedMessages in pull
+   *     response
+   * @returns {object} Gmail push notification message
+   */
+  _toNotification(receivedMessage) {
+    const message = receivedMessage.message || {};
+    const data = Buffer.isBuffer(message.data)
+      ? message.data.toString('base64')
+      : message.data;
+
+    return {
+      message: {
+        data,
+        message_id: message.messageId || message.message_id,
+        attributes: message.attributes,
+      },
+      subscription: this._props.subscription,
+    };
+  },
+
+  /**
+   * Pass an error to onError(). onError() throwing doesn't stop the
+   * consumer.
+   *
+   * @param {object} err Error
+   * @param {object} info {emailAddress, notification} passed to onError()
+   */
+  _reportError(err, info) {
+    return this._gmailpush._callOnError(this._props.onError, err, info);
+  },
+
+  /**
+   * Acknowledge a pulled notification
+   *
+   * @param {object} receivedMessage Element of receivedMessages
+   * @param {object} info {emailAddress, notification} passed to onError()
+   */
+  _acknowledge(receivedMessage, info) {
+    return Promise.resolve()
+      .then(() =>
+        this._props.subscriber.acknowledge({
+          subscription: this._props.subscription,
+          ackIds: [receivedMessage.ackId],
+        })
+      )
+      .catch((err) => this._reportError(err, info));
+  },
+
+  /**
+   * Nack a pulled notification by modifying its ack deadline to retryDelay,
+   * after which Pub/Sub redelivers it
+   *
+   * @param {object} receivedMessage Element of receivedMessages
+   * @param {object} info {emailAddress, notification} passed to onError()
+   */
+  _nack(receivedMessage, info) {
+    return Promise.resolve()
+      .then(() =>
+        this._props.subscriber.modifyAckDeadline({
+          subscription: this._props.subscription,
+          ackIds: [receivedMessage.ackId],
+          ackDeadlineSeconds: this._retryDelay,
+        })
+      )
+      .catch((err) => this._reportError(err, info));
+  },
+};
+
+module.exports = PullConsumer;
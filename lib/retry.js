@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Get delay requested by Retry-After header of an error response
+ *
+ * @param {object} err Error thrown by Gmail API request
+ * @returns {number} Milliseconds to wait || 0 if there is no Retry-After
+ */
+function getRetryAfter(err) {
+  const headers = (err.response && err.response.headers) || {};
+  const retryAfter = headers['retry-after'];
+
+  if (!retryAfter) {
+    return 0;
+  }
+
+  const seconds = Number(retryAfter);
+
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  return Math.max(Date.parse(retryAfter) - Date.now(), 0) || 0;
+}
+
+/**
+ * Get delay before a retry by exponential backoff with full jitter, i.e. a
+ * random delay between 0 and minDelay * 2^attempt, but no shorter than
+ * Retry-After of the error response. Either way it is capped at maxDelay.
+ *
+ * @param {object} err Error of the failed attempt
+ * @param {number} attempt Number of retries so far
+ * @param {object} policy Retry policy having minDelay and maxDelay
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelay(err, attempt, policy) {
+  const backoff = Math.min(policy.maxDelay, policy.minDelay * 2 ** attempt);
+
+  return Math.min(
+    policy.maxDelay,
+    Math.max(Math.random() * backoff, getRetryAfter(err))
+  );
+}
+
+/**
+ * Run a task, retrying it while it fails with an error shouldRetry() accepts
+ * up to policy.retries times
+ *
+ * @param {function} task Function returning a promise, called for each try
+ * @param {object} policy Retry policy having retries, minDelay and maxDelay
+ * @param {function} shouldRetry Function taking an error and returning
+ *     whether to retry
+ * @param {number} [attempt] Number of retries so far
+ * @returns {Promise} Promise settled with the result of the last try
+ */
+function retry(task, policy, shouldRetry, attempt = 0) {
+  return Promise.resolve()
+    .then(task)
+    .catch((err) => {
+      if (attempt >= policy.retries || !shouldRetry(err)) {
+        throw err;
+      }
+
+      return new Promise((resolve) => {
+        setTimeout(resolve, getRetryDelay(err, attempt, policy));
+      }).then(() => retry(task, policy, shouldRetry, attempt + 1));
+    });
+}
+
+module.exports = {
+  retry,
+};
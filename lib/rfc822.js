@@ -0,0 +1,201 @@
+'use strict';
+
+const {decodeEncodedWords} = require('./charset');
+const {
+  decodeBase64,
+  getHeaderValue,
+  parseParameterizedHeader,
+} = require('./mime');
+
+// Headers of unstructured text, in which RFC 2047 encoded words are decoded
+// as Gmail API does for full format. Encoded words in structured headers,
+// e.g. display names in address headers, are decoded when those are parsed.
+const UNSTRUCTURED_HEADERS = ['subject', 'comments', 'content-description'];
+
+/**
+ * Split source of a message or a part into headers and body at the first
+ * empty line. Header values are decoded as UTF-8, which RFC 6532 allows
+ * in headers, and unfolded.
+ *
+ * @param {string} source Source in latin1 so that each character is a byte
+ * @returns {object} Object having headers in the form of Gmail API, i.e.
+ *     [{name, value}], and body
+ */
+function splitHeadersAndBody(source) {
+  const match = /^\r?\n|\r?\n\r?\n/.exec(source);
+  const headerText = match ? source.slice(0, match.index) : source;
+  const body = match ? source.slice(match.index + match[0].length) : '';
+  const headerLines = Buffer.from(headerText, 'latin1')
+    .toString('utf8')
+    .split(/\r?\n(?![ \t])/);
+  const headers = [];
+
+  for (const line of headerLines) {
+    const colonIndex = line.indexOf(':');
+
+    if (colonIndex > 0) {
+      headers.push({
+        name: line.slice(0, colonIndex).trim(),
+        value: line
+          .slice(colonIndex + 1)
+          .replace(/\r?\n[ \t]/g, ' ')
+          .trim(),
+      });
+    }
+  }
+
+  return {headers, body};
+}
+
+/**
+ * Decode quoted-printable body into bytes
+ *
+ * @param {string} body Quoted-printable body
+ * @returns {object} Buffer instance of decoded bytes
+ */
+function decodeQuotedPrintable(body) {
+  return Buffer.from(
+    body
+      .replace(/[ \t]+(?=\r?\n)/g, '')
+      .replace(/[=]\r?\n/g, '')
+      .replace(/[=]([0-9A-Fa-f]{2})/g, (hex, code) =>
+        String.fromCharCode(parseInt(code, 16))
+      ),
+    'latin1'
+  );
+}
+
+/**
+ * Decode body of a leaf part by its Content-Transfer-Encoding
+ *
+ * @param {string} body Body in latin1
+ * @param {string} encoding Content-Transfer-Encoding, e.g. base64
+ * @returns {object} Buffer instance of decoded bytes
+ */
+function decodeBody(body, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return decodeBase64(body);
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+/**
+ * Split body of a multipart part into sources of its parts. Preamble and
+ * epilogue are ignored.
+ *
+ * @param {string} body Body in latin1
+ * @param {string} boundary Boundary parameter of Content-Type
+ * @returns {string[]} Sources of parts
+ */
+function splitMultipartBody(body, boundary) {
+  const escapedBoundary = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const delimiter = new RegExp(
+    `(?:^|\\r?\\n)--${escapedBoundary}(--)?[ \\t]*(?=\\r?\\n|$)\\r?\\n?`,
+    'g'
+  );
+  const sources = [];
+  let start = null;
+  let match = delimiter.exec(body);
+
+  while (match) {
+    if (start !== null) {
+      sources.push(body.slice(start, match.index));
+    }
+
+    if (match[1]) {
+      return sources;
+    }
+
+    start = match.index + match[0].length;
+    match = delimiter.exec(body);
+  }
+
+  // Closing delimiter is missing, e.g. truncated message
+  if (start !== null) {
+    sources.push(body.slice(start));
+  }
+
+  return sources;
+}
+
+/**
+ * Parse source of a message or a part into a message part of Gmail API
+ * form, i.e. {partId, mimeType, filename, headers, body, parts}, in which
+ * body.data of every leaf part is base64-encoded
+ *
+ * @param {string} source Source in latin1
+ * @param {string} partId Part id, '' for the top-level part
+ * @returns {object} Gmail API message part
+ */
+function parsePart(source, partId) {
+  const {headers, body} = splitHeadersAndBody(source);
+
+  for (const header of headers) {
+    if (UNSTRUCTURED_HEADERS.includes(header.name.toLowerCase())) {
+      header.value = decodeEncodedWords(header.value);
+    }
+  }
+
+  const getHeader = (name) => getHeaderValue(headers, name);
+  const contentType = parseParameterizedHeader(
+    getHeader('Content-Type') || 'text/plain'
+  );
+  const disposition = parseParameterizedHeader(
+    getHeader('Content-Disposition')
+  );
+  const part = {
+    partId,
+    mimeType: contentType.value,
+    filename: disposition.params.filename || contentType.params.name || '',
+    headers,
+  };
+  const toChildPartId = (index) => {
+    return partId === '' ? String(index) : `${partId}.${index}`;
+  };
+
+  if (
+    contentType.value.startsWith('multipart/') &&
+    contentType.params.boundary
+  ) {
+    part.body = {size: 0};
+    part.parts = splitMultipartBody(
+      body,
+      contentType.params.boundary
+    ).map((partSource, index) => parsePart(partSource, toChildPartId(index)));
+
+    return part;
+  }
+
+  const bytes = decodeBody(body, getHeader('Content-Transfer-Encoding'));
+
+  part.body = {size: bytes.length, data: bytes.toString('base64')};
+
+  if (contentType.value === 'message/rfc822') {
+    part.parts = [parsePart(bytes.toString('latin1'), toChildPartId(0))];
+  }
+
+  return part;
+}
+
+/**
+ * Parse RFC 822 source of a message, i.e. raw property of message fetched in
+ * raw format, into payload of the same form as that of full format, so that
+ * it can be parsed the same way. Unlike full format, data of every part
+ * including attachments is in body.data instead of body.attachmentId.
+ *
+ * @param {string} raw Base64url-encoded source of a message
+ * @returns {object} Gmail API message payload
+ */
+function parseRawMessage(raw) {
+  return parsePart(decodeBase64(raw).toString('latin1'), '');
+}
+
+module.exports = {
+  parseRawMessage,
+  splitHeadersAndBody,
+  splitMultipartBody,
+};
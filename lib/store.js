@@ -0,0 +1,302 @@
+'use strict';
+
+const KeyedMutex = require('./mutex');
+const {OptionsError} = require('./errors');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Shared by every FileHistoryStore so that stores pointing at the same file
+// don't interleave their read-modify-write cycles
+const fileMutex = new KeyedMutex();
+let tempFileCount = 0;
+
+/**
+ * History store keeping each user's history in a single JSON file. This is
+ * the default store of Gmailpush and the file has the following form:
+ *
+ *     [{emailAddress, prevHistoryId, watchExpiration}, ...]
+ *
+ * Every access to the file is serialized within the process, and the file is
+ * replaced atomically by writing to a temporary file and renaming it.
+ *
+ * @param {string} filePath Path of the JSON file
+ */
+function FileHistoryStore(filePath) {
+  if (!(this instanceof FileHistoryStore)) {
+    return new FileHistoryStore(filePath);
+  }
+
+  if (!filePath) {
+    throw new OptionsError('FileHistoryStore requires an argument: filePath');
+  }
+
+  this._filePath = path.resolve(filePath);
+}
+
+FileHistoryStore.prototype = {
+  /**
+   * Read every history entry from the file
+   *
+   * @returns {object[]} History entries || [] if the file doesn't exist
+   */
+  async _readAll() {
+    try {
+      return JSON.parse(await fs.readFile(this._filePath));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+
+      throw err;
+    }
+  },
+
+  /**
+   * Write every history entry to a temporary file and rename it to the file
+   * so that readers never see a partially written file
+   *
+   * @param {object[]} histories History entries
+   */
+  async _writeAll(histories) {
+    tempFileCount += 1;
+    const tempFilePath = `${this._filePath}.${process.pid}.${tempFileCount}.tmp`;
+
+    try {
+      await fs.writeFile(tempFilePath, JSON.stringify(histories));
+      await fs.rename(tempFilePath, this._filePath);
+    } catch (err) {
+      await fs.unlink(tempFilePath).catch(() => {});
+
+      throw err;
+    }
+  },
+
+  /**
+   * Run a task exclusively against the file
+   *
+   * @param {function} task Function returning a promise
+   * @returns {Promise} Promise settled with the result of task
+   */
+  _exclusive(task) {
+    return fileMutex.run(this._filePath, task);
+  },
+
+  /**
+   * Get history entry of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @returns {object} History entry || null
+   */
+  get(emailAddress) {
+    return this._exclusive(
+      async () =>
+        (await this._readAll()).find(
+          (history) => history.emailAddress === emailAddress
+        ) || null
+    );
+  },
+
+  /**
+   * Create or replace history entry of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} history History entry having prevHistoryId and
+   *     watchExpiration
+   */
+  set(emailAddress, history) {
+    return this._exclusive(async () => {
+      const histories = await this._readAll();
+      const entry = Object.assign({emailAddress}, history, {emailAddress});
+      const index = histories.findIndex(
+        (history) => history.emailAddress === emailAddress
+      );
+
+      if (index === -1) {
+        histories.push(entry);
+      } else {
+        histories[index] = entry;
+      }
+
+      await this._writeAll(histories);
+    });
+  },
+
+  /**
+   * Atomically read, modify and write history entry of a user. No other
+   * access to the file happens in between within this process, but other
+   * processes writing the same file are not excluded.
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {function} updater Function taking a copy of the current entry
+   *     || null and returning the new entry, or null to leave it as is
+   * @returns {object} Entry after update || null
+   */
+  update(emailAddress, updater) {
+    return this._exclusive(async () => {
+      const histories = await this._readAll();
+      const index = histories.findIndex(
+        (history) => history.emailAddress === emailAddress
+      );
+      const current = index === -1 ? null : histories[index];
+      const history = updater(current && Object.assign({}, current));
+
+      if (!history) {
+        return current;
+      }
+
+      const entry = Object.assign({emailAddress}, history, {emailAddress});
+
+      if (index === -1) {
+        histories.push(entry);
+      } else {
+        histories[index] = entry;
+      }
+
+      await this._writeAll(histories);
+
+      return Object.assign({}, entry);
+    });
+  },
+
+  /**
+   * List history entries of every user
+   *
+   * @returns {object[]} History entries
+   */
+  list() {
+    return this._exclusive(() => this._readAll());
+  },
+
+  /**
+   * Delete history entry of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @returns {boolean} Whether the entry existed or not
+   */
+  delete(emailAddress) {
+    return this._exclusive(async () => {
+      const histories = await this._readAll();
+      const remaining = histories.filter(
+        (history) => history.emailAddress !== emailAddress
+      );
+
+      if (remaining.length === histories.length) {
+        return false;
+      }
+
+      await this._writeAll(remaining);
+
+      return true;
+    });
+  },
+};
+
+/**
+ * History store keeping each user's history in memory. Useful for tests and
+ * for short-lived processes. Entries are copied on the way in and out so that
+ * callers can't mutate stored state by accident.
+ */
+function MemoryHistoryStore() {
+  if (!(this instanceof MemoryHistoryStore)) {
+    return new MemoryHistoryStore();
+  }
+
+  this._histories = new Map();
+}
+
+MemoryHistoryStore.prototype = {
+  /**
+   * Get history entry of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @returns {object} History entry || null
+   */
+  get(emailAddress) {
+    const history = this._histories.get(emailAddress);
+
+    return Promise.resolve(history ? Object.assign({}, history) : null);
+  },
+
+  /**
+   * Create or replace history entry of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} history History entry having prevHistoryId and
+   *     watchExpiration
+   */
+  set(emailAddress, history) {
+    this._histories.set(
+      emailAddress,
+      Object.assign({emailAddress}, history, {emailAddress})
+    );
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Atomically read, modify and write history entry of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {function} updater Function taking a copy of the current entry
+   *     || null and returning the new entry, or null to leave it as is
+   * @returns {object} Entry after update || null
+   */
+  update(emailAddress, updater) {
+    const current = this._histories.get(emailAddress) || null;
+    const history = updater(current && Object.assign({}, current));
+
+    if (!history) {
+      return Promise.resolve(current && Object.assign({}, current));
+    }
+
+    const entry = Object.assign({emailAddress}, history, {emailAddress});
+
+    this._histories.set(emailAddress, entry);
+
+    return Promise.resolve(Object.assign({}, entry));
+  },
+
+  /**
+   * List history entries of every user
+   *
+   * @returns {object[]} History entries
+   */
+  list() {
+    return Promise.resolve(
+      Array.from(this._histories.values()).map((history) =>
+        Object.assign({}, history)
+      )
+    );
+  },
+
+  /**
+   * Delete history entry of a user
+   *
+   * @param {string} emailAddress Email address of the user
+   * @returns {boolean} Whether the entry existed or not
+   */
+  delete(emailAddress) {
+    return Promise.resolve(this._histories.delete(emailAddress));
+  },
+};
+
+/**
+ * Check if an object implements the history store interface
+ *
+ * @param {object} store Object to be checked
+ * @returns {boolean} Whether store has get, set, list and delete methods
+ */
+function isHistoryStore(store) {
+  return (
+    Boolean(store) &&
+    ['get', 'set', 'list', 'delete'].every(
+      (method) => typeof store[method] === 'function'
+    )
+  );
+}
+
+module.exports = {
+  FileHistoryStore,
+  MemoryHistoryStore,
+  isHistoryStore,
+};
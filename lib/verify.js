@@ -0,0 +1,275 @@
+'use strict';
+
+const crypto = require('crypto');
+const {google} = require('googleapis');
+const {OptionsError, VerificationError} = require('./errors');
+
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+// Same clock skew as google-auth-library allows when verifying id tokens
+const DEFAULT_CLOCK_TOLERANCE = 300;
+
+/**
+ * Decode base64url string
+ *
+ * @param {string} data base64url-encoded string
+ * @returns {object} Buffer instance of decoded data
+ */
+function decodeBase64Url(data) {
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Encode DER length
+ *
+ * @param {number} length Length of DER content
+ * @returns {object} Buffer instance of encoded length
+ */
+function encodeDerLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 0x100)) {
+    bytes.unshift(rest % 0x100);
+  }
+
+  return Buffer.from([0x80 + bytes.length].concat(bytes));
+}
+
+/**
+ * Encode unsigned big-endian integer as DER INTEGER
+ *
+ * @param {object} value Buffer instance of the integer
+ * @returns {object} Buffer instance of DER INTEGER
+ */
+function encodeDerInteger(value) {
+  // Leading zero keeps the integer positive when the high bit is set
+  const content =
+    value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value;
+
+  return Buffer.concat([
+    Buffer.from([0x02]),
+    encodeDerLength(content.length),
+    content,
+  ]);
+}
+
+/**
+ * Convert RSA JSON Web Key to PEM so that it can be used on every supported
+ * Node.js version, including ones without JWK support in crypto
+ *
+ * @param {object} jwk JSON Web Key having kty, n and e
+ * @returns {string} PKCS#1 PEM of the public key
+ */
+function jwkToPem(jwk) {
+  if (jwk.kty !== 'RSA' || !jwk.n || !jwk.e) {
+    throw new OptionsError('Only RSA JSON Web Keys are supported');
+  }
+
+  const integers = Buffer.concat([
+    encodeDerInteger(decodeBase64Url(jwk.n)),
+    encodeDerInteger(decodeBase64Url(jwk.e)),
+  ]);
+  const der = Buffer.concat([
+    Buffer.from([0x30]),
+    encodeDerLength(integers.length),
+    integers,
+  ]);
+  const lines = der.toString('base64').match(/.{1,64}/g);
+
+  return [
+    '-----BEGIN RSA PUBLIC KEY-----',
+    ...lines,
+    '-----END RSA PUBLIC KEY-----',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Normalize keys into a map of key id to PEM. Keys can be a JWKS, i.e.
+ * {keys: [jwk, ...]}, or a map of key id to PEM certificate or public key
+ * like the one Google publishes.
+ *
+ * @param {object} keys JWKS or map of key id to PEM
+ * @returns {object} Map of key id to PEM
+ */
+function normalizeKeys(keys) {
+  if (keys && Array.isArray(keys.keys)) {
+    const pems = {};
+    for (const jwk of keys.keys) {
+      pems[jwk.kid] = jwkToPem(jwk);
+    }
+    return pems;
+  }
+
+  return keys || {};
+}
+
+/**
+ * Verifier of OIDC tokens which Pub/Sub attaches to push requests as
+ * `Authorization: Bearer <token>` header.
+ *
+ * @param {object} options
+ * @param {string|string[]} options.audience Expected aud claim
+ * @param {string} [options.serviceAccountEmail] Expected email claim, i.e.
+ *     service account of the push subscription. Required unless
+ *     anyServiceAccount is true, because any Google-signed token for the
+ *     audience would pass otherwise.
+ * @param {boolean} [options.anyServiceAccount] Accept tokens of any service
+ *     account
+ * @param {string[]} [options.issuers] Expected iss claim
+ * @param {object|function} [options.keys] JWKS or map of key id to PEM, or
+ *     a function returning (a promise of) them. Google's public keys are
+ *     fetched by default.
+ * @param {number} [options.clockTolerance] Allowed clock skew in seconds
+ */
+function TokenVerifier(options) {
+  if (!(this instanceof TokenVerifier)) {
+    return new TokenVerifier(options);
+  }
+
+  if (!options || !options.audience) {
+    throw new OptionsError('verification option must have audience');
+  }
+
+  if (!options.serviceAccountEmail && options.anyServiceAccount !== true) {
+    throw new OptionsError(
+      'verification option must have serviceAccountEmail unless anyServiceAccount is true'
+    );
+  }
+
+  this._audiences = [].concat(options.audience);
+  this._serviceAccountEmail = options.serviceAccountEmail || null;
+  this._issuers = options.issuers || GOOGLE_ISSUERS;
+  this._clockTolerance =
+    options.clockTolerance === undefined
+      ? DEFAULT_CLOCK_TOLERANCE
+      : options.clockTolerance;
+
+  if (typeof options.keys === 'function') {
+    this._getKeys = options.keys;
+  } else if (options.keys) {
+    this._getKeys = () => options.keys;
+  } else {
+    // OAuth2Client caches Google's certificates until they expire
+    const client = new google.auth.OAuth2();
+    this._getKeys = () =>
+      client.getFederatedSignonCertsAsync().then((result) => result.certs);
+  }
+}
+
+TokenVerifier.prototype = {
+  /**
+   * Verify Authorization header of a push request
+   *
+   * @param {string} authorization Value of Authorization header
+   * @returns {object} Claims of the verified token
+   */
+  async verify(authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+
+    if (!match) {
+      throw new VerificationError(
+        'Push request must have Authorization: Bearer header'
+      );
+    }
+
+    const segments = match[1].split('.');
+
+    if (segments.length !== 3) {
+      throw new VerificationError('Push request token is not a JWT');
+    }
+
+    let header;
+    let claims;
+
+    try {
+      header = JSON.parse(decodeBase64Url(segments[0]).toString());
+      claims = JSON.parse(decodeBase64Url(segments[1]).toString());
+    } catch (err) {
+      throw new VerificationError('Push request token is not a JWT', {
+        cause: err,
+      });
+    }
+
+    if (header.alg !== 'RS256') {
+      throw new VerificationError(
+        `Push request token has unsupported alg: ${header.alg}`
+      );
+    }
+
+    const pem = normalizeKeys(await this._getKeys())[header.kid];
+
+    if (!pem) {
+      throw new VerificationError(
+        `No key found for push request token kid: ${header.kid}`
+      );
+    }
+
+    const isSignatureValid = crypto
+      .createVerify('RSA-SHA256')
+      .update(`${segments[0]}.${segments[1]}`)
+      .verify(pem, decodeBase64Url(segments[2]));
+
+    if (!isSignatureValid) {
+      throw new VerificationError('Push request token has invalid signature');
+    }
+
+    this._verifyClaims(claims);
+
+    return claims;
+  },
+
+  /**
+   * Verify iss, aud, exp, iat and email claims
+   *
+   * @param {object} claims Claims of the token
+   */
+  _verifyClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!this._issuers.includes(claims.iss)) {
+      throw new VerificationError(
+        `Push request token has unexpected iss: ${claims.iss}`
+      );
+    }
+
+    if (
+      ![]
+        .concat(claims.aud)
+        .some((audience) => this._audiences.includes(audience))
+    ) {
+      throw new VerificationError(
+        `Push request token has unexpected aud: ${claims.aud}`
+      );
+    }
+
+    if (
+      typeof claims.exp !== 'number' ||
+      claims.exp + this._clockTolerance < now
+    ) {
+      throw new VerificationError('Push request token has expired');
+    }
+
+    if (
+      typeof claims.iat === 'number' &&
+      claims.iat - this._clockTolerance > now
+    ) {
+      throw new VerificationError(
+        'Push request token was issued in the future'
+      );
+    }
+
+    if (
+      this._serviceAccountEmail &&
+      (claims.email !== this._serviceAccountEmail || !claims.email_verified)
+    ) {
+      throw new VerificationError(
+        `Push request token has unexpected email: ${claims.email}`
+      );
+    }
+  },
+};
+
+module.exports = TokenVerifier;
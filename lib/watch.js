@@ -0,0 +1,231 @@
+'use strict';
+
+const {mapWithConcurrency} = require('./concurrency');
+const {OptionsError} = require('./errors');
+
+const DEFAULT_CHECK_INTERVAL = 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 10;
+
+/**
+ * Manager of watch requests. Gmail stops push notifications for a mailbox
+ * whose watch hasn't been renewed for 7 days, and Gmailpush renews watch
+ * only when a push notification arrives, so a quiet mailbox would stop
+ * receiving them. The manager periodically checks watchExpiration of every
+ * user in the history store and renews watch which expires within
+ * renewBefore.
+ *
+ * Users whose watch has been stopped by stopWatch(), i.e. whose
+ * watchExpiration is null, are skipped.
+ *
+ * @param {object} gmailpush Gmailpush instance
+ * @param {object} options See createWatchManager() of Gmailpush
+ */
+function WatchManager(gmailpush, options = {}) {
+  if (!(this instanceof WatchManager)) {
+    return new WatchManager(gmailpush, options);
+  }
+
+  const api = gmailpush._api;
+  const props = gmailpush._getPropsFromOptions(options, {
+    required: api.tokenProvider || api.serviceAccount ? [] : ['getToken'],
+    optional: [
+      'getToken',
+      'onError',
+      'renewBefore',
+      'checkInterval',
+      'concurrency',
+    ],
+  });
+
+  for (const name of ['getToken', 'onError']) {
+    if (props[name] !== undefined && typeof props[name] !== 'function') {
+      throw new OptionsError(`${name} option should be a function`);
+    }
+  }
+
+  this._gmailpush = gmailpush;
+  this._props = props;
+  this._renewBefore =
+    props.renewBefore === undefined ? api.watch.renewBefore : props.renewBefore;
+  this._checkInterval =
+    props.checkInterval === undefined
+      ? DEFAULT_CHECK_INTERVAL
+      : props.checkInterval;
+  this._concurrency = props.concurrency || DEFAULT_CONCURRENCY;
+
+  this._running = false;
+  this._timer = null;
+  this._renewing = null;
+
+  // Maps Email addresses to the latest failure of renewing their watch
+  this._failures = new Map();
+}
+
+WatchManager.prototype = {
+  /**
+   * Start checking watch expirations, right away and then every
+   * checkInterval
+   *
+   * @returns {object} This WatchManager instance
+   */
+  start() {
+    if (!this._running) {
+      this._running = true;
+      this._schedule(0);
+    }
+
+    return this;
+  },
+
+  /**
+   * Stop checking watch expirations and wait for renewals in progress
+   */
+  async stop() {
+    this._running = false;
+
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    await this._renewing;
+  },
+
+  /**
+   * Schedule next check of watch expirations
+   *
+   * @param {number} delay Milliseconds to wait before checking
+   */
+  _schedule(delay) {
+    if (!this._running) {
+      return;
+    }
+
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._renewing = this.renew()
+        .catch((err) => this._reportError(err, null))
+        .then(() => {
+          this._renewing = null;
+          this._schedule(this._checkInterval);
+        });
+    }, delay);
+  },
+
+  /**
+   * Renew watch of every user whose watch expires within renewBefore. A
+   * failed renewal doesn't stop the others. It is passed to onError() and
+   * kept until watch of the user is renewed.
+   *
+   * @returns {object} Object having renewed, Email addresses whose watch has
+   *     been renewed, and failed, [{emailAddress, error}]
+   */
+  async renew() {
+    const now = Date.now();
+    const histories = (await this._gmailpush._api.store.list()).filter(
+      (history) =>
+        history.watchExpiration !== null &&
+        history.watchExpiration !== undefined &&
+        Number(history.watchExpiration) - now <= this._renewBefore
+    );
+    const results = await mapWithConcurrency(
+      histories,
+      this._concurrency,
+      (history) => this._renewWatch(history)
+    );
+
+    return {
+      renewed: results
+        .filter((result) => !result.error)
+        .map((result) => result.emailAddress),
+      failed: results.filter((result) => result.error),
+    };
+  },
+
+  /**
+   * Renew watch of a user with the same watch request as before
+   *
+   * @param {object} history History entry of the user
+   * @returns {object} Object having emailAddress, and error if renewal has
+   *     failed
+   */
+  async _renewWatch(history) {
+    const emailAddress = history.emailAddress;
+
+    try {
+      const token = this._props.getToken
+        ? await this._props.getToken(emailAddress)
+        : undefined;
+
+      await this.startWatch(emailAddress, token, history.watchRequest);
+    } catch (error) {
+      this._failures.set(emailAddress, {emailAddress, error, time: Date.now()});
+      this._reportError(error, emailAddress);
+
+      return {emailAddress, error};
+    }
+
+    return {emailAddress};
+  },
+
+  /**
+   * Start watch of a user, same as startWatch() of Gmailpush. The user's
+   * watch is renewed by this manager afterwards.
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} [token] Gmail API OAuth2 access token
+   * @param {object} [options] labelIds and labelFilterAction
+   * @returns {object} Object having historyId and watchExpiration
+   */
+  async startWatch(emailAddress, token, options) {
+    const result = await this._gmailpush.startWatch(
+      emailAddress,
+      token,
+      options
+    );
+
+    this._failures.delete(emailAddress);
+
+    return result;
+  },
+
+  /**
+   * Stop watch of a user, same as stopWatch() of Gmailpush. The user's watch
+   * is no longer renewed by this manager.
+   *
+   * @param {string} emailAddress Email address of the user
+   * @param {object} [token] Gmail API OAuth2 access token
+   */
+  async stopWatch(emailAddress, token) {
+    await this._gmailpush.stopWatch(emailAddress, token);
+
+    this._failures.delete(emailAddress);
+  },
+
+  /**
+   * Get users whose latest watch renewal has failed. Their push
+   * notifications stop once watchExpiration passes.
+   *
+   * @returns {Object[]} [{emailAddress, error, time}] where time is when the
+   *     renewal failed
+   */
+  getFailures() {
+    return Array.from(this._failures.values());
+  },
+
+  /**
+   * Pass an error to onError() if it is set. onError() throwing doesn't stop
+   * the manager.
+   *
+   * @param {object} err Error
+   * @param {string} emailAddress Email address of the user || null if the
+   *     error is not of a single user, e.g. listing the history store failed
+   */
+  _reportError(err, emailAddress) {
+    if (this._props.onError) {
+      this._gmailpush._callOnError(this._props.onError, err, {emailAddress});
+    }
+  },
+};
+
+module.exports = WatchManager;